@@ -0,0 +1,189 @@
+const pool = require("./db");
+const { PERMISSIONS } = require("./middleware/auth");
+
+// Rounds a ratio for JSON; null when there is nothing to divide by
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null);
+
+// Sources that mean the attendee was registered before the day, as opposed
+// to being added at the door
+const PREREGISTERED_SOURCES = ["import", "directory", "self"];
+
+/**
+ * getEventAnalytics
+ *
+ * Attendance figures for one event, or for one of its sessions when
+ * `sessionId` is given:
+ *  - summary: totals, no-show rate (pre-registered attendees who never
+ *    checked in) and walk-in ratio (source = 'manual' over all attendees)
+ *  - by_source / by_home_church: totals and check-ins per group
+ *  - timeline: check-ins per `bucketMinutes` bucket with a running total,
+ *    empty buckets included so the arrival curve is continuous
+ *  - peak: the busiest bucket, null before anyone has checked in
+ * `from` / `to` narrow the timeline only.
+ */
+async function getEventAnalytics(eventId, { bucketMinutes = 5, sessionId, from, to } = {}) {
+  // One row per attendee with check-in state for the event or the session
+  const base = sessionId
+    ? `SELECT a.id, a.source, a.home_church,
+         c.attendee_id IS NOT NULL AS checked_in, c.checked_in_at
+       FROM attendees a
+       LEFT JOIN session_checkins c ON c.attendee_id = a.id AND c.session_id = $2
+       WHERE a.event_id = $1`
+    : `SELECT a.id, a.source, a.home_church,
+         COALESCE(a.checked_in, FALSE) AS checked_in,
+         CASE WHEN a.checked_in THEN a.checked_in_at END AS checked_in_at
+       FROM attendees a
+       WHERE a.event_id = $1`;
+  const params = sessionId ? [eventId, sessionId] : [eventId];
+
+  const bySource = await pool.query(
+    `WITH base AS (${base})
+     SELECT COALESCE(source, 'manual') AS source, COUNT(*)::int AS total,
+       COUNT(CASE WHEN checked_in THEN 1 END)::int AS checked_in_count
+     FROM base GROUP BY COALESCE(source, 'manual') ORDER BY total DESC`,
+    params,
+  );
+
+  const byChurch = await pool.query(
+    `WITH base AS (${base})
+     SELECT NULLIF(TRIM(home_church), '') AS home_church, COUNT(*)::int AS total,
+       COUNT(CASE WHEN checked_in THEN 1 END)::int AS checked_in_count
+     FROM base GROUP BY NULLIF(TRIM(home_church), '')
+     ORDER BY total DESC, home_church ASC NULLS LAST`,
+    params,
+  );
+
+  const n = params.length;
+  const timeline = await pool.query(
+    `WITH base AS (${base}),
+     arrivals AS (
+       SELECT date_bin(make_interval(mins => $${n + 1}), checked_in_at, TIMESTAMP '2000-01-01') AS bucket
+       FROM base
+       WHERE checked_in_at IS NOT NULL
+         AND ($${n + 2}::timestamp IS NULL OR checked_in_at >= $${n + 2}::timestamp)
+         AND ($${n + 3}::timestamp IS NULL OR checked_in_at < $${n + 3}::timestamp)
+     ),
+     buckets AS (
+       SELECT generate_series(MIN(bucket), MAX(bucket), make_interval(mins => $${n + 1})) AS bucket
+       FROM arrivals
+     )
+     SELECT b.bucket AS bucket_start, COUNT(a.bucket)::int AS count,
+       (SUM(COUNT(a.bucket)) OVER (ORDER BY b.bucket))::int AS cumulative
+     FROM buckets b LEFT JOIN arrivals a ON a.bucket = b.bucket
+     GROUP BY b.bucket ORDER BY b.bucket`,
+    [...params, bucketMinutes, from || null, to || null],
+  );
+
+  const sum = (rows, key) => rows.reduce((acc, row) => acc + row[key], 0);
+  const total = sum(bySource.rows, "total");
+  const checkedIn = sum(bySource.rows, "checked_in_count");
+  const preregistered = bySource.rows.filter((r) => PREREGISTERED_SOURCES.includes(r.source));
+  const preregisteredTotal = sum(preregistered, "total");
+  const noShows = preregisteredTotal - sum(preregistered, "checked_in_count");
+  const walkIns = bySource.rows.find((r) => r.source === "manual")?.total || 0;
+
+  const peak = timeline.rows.reduce(
+    (best, row) => (row.count > 0 && (!best || row.count > best.count) ? row : best),
+    null,
+  );
+
+  return {
+    session_id: sessionId || null,
+    bucket_minutes: bucketMinutes,
+    summary: {
+      total_attendees: total,
+      checked_in_count: checkedIn,
+      attendance_rate: ratio(checkedIn, total),
+      preregistered_count: preregisteredTotal,
+      no_show_count: noShows,
+      no_show_rate: ratio(noShows, preregisteredTotal),
+      walk_in_count: walkIns,
+      walk_in_ratio: ratio(walkIns, total),
+    },
+    peak: peak ? { bucket_start: peak.bucket_start, count: peak.count } : null,
+    timeline: timeline.rows,
+    by_source: bySource.rows,
+    by_home_church: byChurch.rows,
+  };
+}
+
+/**
+ * getAttendanceTrends
+ *
+ * Attendance across the events a user owns or was invited to with a role
+ * that may read analytics, dated by the event date (creation date for
+ * undated events) within [from, to].
+ * `interval` "event" returns one row per event; "week" / "month" sum the
+ * events of each period.
+ */
+async function getAttendanceTrends(userId, { from, to, interval = "event" }) {
+  const events = await pool.query(
+    `
+    SELECT e.id AS event_id, e.name, COALESCE(e.date, e.created_at::date) AS date,
+      COUNT(a.id)::int AS total_attendees,
+      COUNT(CASE WHEN a.checked_in THEN 1 END)::int AS checked_in_count,
+      COUNT(CASE WHEN COALESCE(a.source, 'manual') = 'manual' THEN 1 END)::int AS walk_in_count,
+      COUNT(CASE WHEN a.source = ANY($4::text[]) AND NOT COALESCE(a.checked_in, FALSE) THEN 1 END)::int
+        AS no_show_count,
+      COUNT(CASE WHEN a.source = ANY($4::text[]) THEN 1 END)::int AS preregistered_count
+    FROM events e
+    LEFT JOIN event_members m ON m.event_id = e.id AND m.user_id = $1
+    LEFT JOIN attendees a ON a.event_id = e.id
+    WHERE (e.owner_id = $1 OR m.role = ANY($5::text[]))
+      AND ($2::date IS NULL OR COALESCE(e.date, e.created_at::date) >= $2::date)
+      AND ($3::date IS NULL OR COALESCE(e.date, e.created_at::date) <= $3::date)
+    GROUP BY e.id
+    ORDER BY COALESCE(e.date, e.created_at::date) ASC, e.id ASC
+  `,
+    [userId, from || null, to || null, PREREGISTERED_SOURCES, PERMISSIONS["analytics:read"]],
+  );
+
+  const withRates = (row) => ({
+    ...row,
+    attendance_rate: ratio(row.checked_in_count, row.total_attendees),
+    no_show_rate: ratio(row.no_show_count, row.preregistered_count),
+    walk_in_ratio: ratio(row.walk_in_count, row.total_attendees),
+  });
+
+  if (interval === "event") return events.rows.map(withRates);
+
+  // Group events by the Monday of their week or the first of their month
+  const periodStart = (date) => {
+    const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+    if (interval === "month") d.setUTCDate(1);
+    else d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+    return d.toISOString().slice(0, 10);
+  };
+
+  const periods = new Map();
+  for (const row of events.rows) {
+    const key = periodStart(new Date(row.date));
+    const period = periods.get(key) || {
+      period_start: key,
+      event_count: 0,
+      total_attendees: 0,
+      checked_in_count: 0,
+      walk_in_count: 0,
+      no_show_count: 0,
+      preregistered_count: 0,
+    };
+    period.event_count++;
+    for (const field of [
+      "total_attendees",
+      "checked_in_count",
+      "walk_in_count",
+      "no_show_count",
+      "preregistered_count",
+    ]) {
+      period[field] += row[field];
+    }
+    periods.set(key, period);
+  }
+
+  return [...periods.values()].map((period) => ({
+    ...withRates(period),
+    average_checked_in: Math.round((period.checked_in_count / period.event_count) * 10) / 10,
+  }));
+}
+
+module.exports = { getEventAnalytics, getAttendanceTrends };
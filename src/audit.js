@@ -0,0 +1,66 @@
+const pool = require("./db");
+
+// Longest device label we keep; it comes straight from a request header
+const MAX_LABEL_LENGTH = 100;
+
+function trimLabel(value) {
+  const label = (value || "").toString().trim();
+  return label ? label.slice(0, MAX_LABEL_LENGTH) : null;
+}
+
+/**
+ * actorFromRequest
+ *
+ * Who performed the request, taken from the token set by requireEventAccess:
+ * the organizer's email, or the label a volunteer link was issued with.
+ * Door devices can name themselves with an `X-Device-Label` header
+ * ("Tablet 2 — East door"); that is kept apart as device_label since
+ * anyone can send it.
+ */
+function actorFromRequest(req) {
+  const auth = req.auth || {};
+
+  return {
+    user_id: auth.userId || null,
+    role: auth.role || null,
+    label: trimLabel(auth.label || auth.email),
+    device_label: trimLabel(req.get ? req.get("X-Device-Label") : null),
+  };
+}
+
+// Audit snapshots as stored: pickup codes are left out wherever they appear
+// (single rows, row lists, merge snapshots), since they only go to whoever
+// checked the child in
+function snapshot(value) {
+  if (value === undefined) return null;
+  return JSON.stringify(value, (key, field) => (key === "pickup_code" ? undefined : field));
+}
+
+/**
+ * recordAttendeeEvent
+ *
+ * Appends one row to attendee_events. Pass the transaction client as `db`
+ * when the mutation runs inside one so the entry commits or rolls back with it.
+ */
+async function recordAttendeeEvent(db, req, { eventId, attendeeId, action, before, after }) {
+  const actor = actorFromRequest(req);
+  await (db || pool).query(
+    `INSERT INTO attendee_events
+       (event_id, attendee_id, action, actor_user_id, actor_role, actor_label, device_label,
+        before, after)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      eventId,
+      attendeeId || null,
+      action,
+      actor.user_id,
+      actor.role,
+      actor.label,
+      actor.device_label,
+      snapshot(before),
+      snapshot(after),
+    ],
+  );
+}
+
+module.exports = { actorFromRequest, recordAttendeeEvent };
@@ -0,0 +1,199 @@
+const PDFDocument = require("pdfkit");
+
+const MM = 72 / 25.4;
+const INCH = 72;
+
+// Label sheet geometry in PDF points. Offsets are measured from the top-left
+// corner of the page to the first label; gaps are between neighbouring labels.
+const LABEL_LAYOUTS = {
+  // Avery L7165 / J8165 — 8 labels of 99.1 × 67.7 mm, the usual name-badge sheet
+  "a4-2x4": {
+    size: "A4",
+    columns: 2,
+    rows: 4,
+    width: 99.1 * MM,
+    height: 67.7 * MM,
+    left: 4.65 * MM,
+    top: 13.1 * MM,
+    columnGap: 2.5 * MM,
+    rowGap: 0,
+  },
+  // Avery 3474 — 24 labels of 70 × 37 mm, edge to edge
+  "a4-3x8": {
+    size: "A4",
+    columns: 3,
+    rows: 8,
+    width: 70 * MM,
+    height: 37 * MM,
+    left: 0,
+    top: 0,
+    columnGap: 0,
+    rowGap: 0,
+  },
+  // Avery 5395 — 8 name badges of 3⅜ × 2⅓ in on US Letter
+  "letter-2x4": {
+    size: "LETTER",
+    columns: 2,
+    rows: 4,
+    width: 3.375 * INCH,
+    height: 2.333 * INCH,
+    left: 0.6875 * INCH,
+    top: 0.5833 * INCH,
+    columnGap: 0.5 * INCH,
+    rowGap: 0.3333 * INCH,
+  },
+};
+
+const PADDING = 4 * MM;
+
+// Largest font size (down to `min`) at which the text fits on one line
+function fitFontSize(doc, text, maxWidth, max, min) {
+  let size = max;
+  doc.fontSize(size);
+  while (size > min && doc.widthOfString(text) > maxWidth) {
+    size -= 1;
+    doc.fontSize(size);
+  }
+  return size;
+}
+
+function drawBadge(doc, x, y, layout, attendee, qr, eventName) {
+  const qrSize = qr ? Math.min(layout.height - PADDING * 2, layout.width * 0.35) : 0;
+  const textWidth = layout.width - PADDING * 2 - (qr ? qrSize + PADDING : 0);
+  const scale = layout.height / (67.7 * MM);
+
+  let cursor = y + PADDING;
+
+  if (eventName) {
+    doc.font("Helvetica").fontSize(Math.max(6, 8 * scale)).fillColor("#666666");
+    doc.text(eventName, x + PADDING, cursor, { width: textWidth, lineBreak: false, ellipsis: true });
+    cursor += doc.currentLineHeight() + 2;
+  }
+
+  const nameSize = fitFontSize(doc.font("Helvetica-Bold"), attendee.name, textWidth, 24 * scale, 8);
+  const church = attendee.home_church || "";
+  const churchSize = Math.max(7, 11 * scale);
+
+  // Centre name + church vertically in what is left of the label
+  const blockHeight = nameSize * 1.2 + (church ? churchSize * 1.4 : 0);
+  cursor = Math.max(cursor, y + (layout.height - blockHeight) / 2);
+
+  doc.fillColor("#000000").fontSize(nameSize);
+  doc.text(attendee.name, x + PADDING, cursor, { width: textWidth, lineBreak: false, ellipsis: true });
+  cursor += nameSize * 1.2;
+
+  if (church) {
+    doc.font("Helvetica").fontSize(churchSize).fillColor("#333333");
+    doc.text(church, x + PADDING, cursor + churchSize * 0.2, {
+      width: textWidth,
+      lineBreak: false,
+      ellipsis: true,
+    });
+  }
+
+  if (qr) {
+    doc.image(qr, x + layout.width - PADDING - qrSize, y + (layout.height - qrSize) / 2, {
+      width: qrSize,
+      height: qrSize,
+    });
+  }
+}
+
+// Caption shown above the name on each kind of pickup label
+const PICKUP_CAPTIONS = {
+  child: "CHILD",
+  guardian: "PICKUP — show this tag to collect",
+};
+
+// A children's check-in label: the child's name with the pickup code beside
+// it in large type, so a volunteer can match the guardian's tag at a glance
+function drawPickupLabel(doc, x, y, layout, label, eventName) {
+  const scale = layout.height / (67.7 * MM);
+  const codeSize = Math.max(14, 30 * scale);
+  doc.font("Helvetica-Bold").fontSize(codeSize);
+  const codeWidth = doc.widthOfString(label.pickup_code);
+  const textWidth = layout.width - PADDING * 3 - codeWidth;
+
+  let cursor = y + PADDING;
+  doc.font("Helvetica").fontSize(Math.max(6, 8 * scale)).fillColor("#666666");
+  const caption = eventName ? `${eventName} · ${PICKUP_CAPTIONS[label.type]}` : PICKUP_CAPTIONS[label.type];
+  doc.text(caption, x + PADDING, cursor, { width: textWidth, lineBreak: false, ellipsis: true });
+  cursor += doc.currentLineHeight() + 2;
+
+  const nameSize = fitFontSize(doc.font("Helvetica-Bold"), label.name, textWidth, 22 * scale, 8);
+  cursor = Math.max(cursor, y + (layout.height - nameSize * 1.2) / 2);
+  doc.fillColor("#000000").fontSize(nameSize);
+  doc.text(label.name, x + PADDING, cursor, { width: textWidth, lineBreak: false, ellipsis: true });
+  cursor += nameSize * 1.2;
+
+  if (label.guardians) {
+    doc.font("Helvetica").fontSize(Math.max(7, 10 * scale)).fillColor("#333333");
+    doc.text(label.guardians, x + PADDING, cursor, { width: textWidth, lineBreak: false, ellipsis: true });
+  }
+
+  doc.font("Helvetica-Bold").fontSize(codeSize).fillColor("#000000");
+  doc.text(label.pickup_code, x + layout.width - PADDING - codeWidth, y + (layout.height - codeSize) / 2, {
+    lineBreak: false,
+  });
+}
+
+// Lays `items` out on label sheets, `draw` filling in each label, and
+// resolves the PDF as a Buffer
+function renderSheets(items, { layout, outline }, draw) {
+  const sheet = LABEL_LAYOUTS[layout];
+  const perPage = sheet.columns * sheet.rows;
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: sheet.size, margin: 0, autoFirstPage: false });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    items.forEach((item, i) => {
+      const slot = i % perPage;
+      if (slot === 0) doc.addPage();
+
+      const column = slot % sheet.columns;
+      const row = Math.floor(slot / sheet.columns);
+      const x = sheet.left + column * (sheet.width + sheet.columnGap);
+      const y = sheet.top + row * (sheet.height + sheet.rowGap);
+
+      if (outline) {
+        doc.lineWidth(0.5).strokeColor("#cccccc").rect(x, y, sheet.width, sheet.height).stroke();
+      }
+      draw(doc, x, y, sheet, item);
+    });
+
+    // An empty filter still yields a valid (blank) PDF
+    if (items.length === 0) doc.addPage();
+    doc.end();
+  });
+}
+
+/**
+ * renderBadgesPdf
+ *
+ * Lays attendees out on label sheets and resolves the PDF as a Buffer.
+ * `qrCodes` maps attendee id → PNG buffer; omit it for badges without tickets.
+ * `outline` draws the label borders, handy when printing on plain paper.
+ */
+function renderBadgesPdf(attendees, { layout = "a4-2x4", qrCodes, eventName, outline = false } = {}) {
+  return renderSheets(attendees, { layout, outline }, (doc, x, y, sheet, attendee) =>
+    drawBadge(doc, x, y, sheet, attendee, qrCodes?.get(attendee.id), eventName),
+  );
+}
+
+/**
+ * renderPickupLabelsPdf
+ *
+ * Children's check-in labels — { type: "child" | "guardian", name,
+ * pickup_code, guardians } — on the same sheets as the badges.
+ */
+function renderPickupLabelsPdf(labels, { layout = "a4-3x8", eventName, outline = false } = {}) {
+  return renderSheets(labels, { layout, outline }, (doc, x, y, sheet, label) =>
+    drawPickupLabel(doc, x, y, sheet, label, eventName),
+  );
+}
+
+module.exports = { renderBadgesPdf, renderPickupLabelsPdf, LABEL_LAYOUTS };
@@ -0,0 +1,47 @@
+const pool = require("./db");
+
+// Helper: get event stats
+async function getEventStats(eventId) {
+  const res = await pool.query(
+    `
+    SELECT
+      COUNT(id)::int AS total_attendees,
+      COUNT(CASE WHEN checked_in THEN 1 END)::int AS checked_in_count,
+      COUNT(CASE WHEN waitlist_position IS NOT NULL THEN 1 END)::int AS waitlist_count
+    FROM attendees WHERE event_id = $1
+  `,
+    [eventId],
+  );
+  // Per-session counts; empty for events without sessions
+  const sessions = await pool.query(
+    `
+    SELECT s.id AS session_id, s.name, COUNT(c.attendee_id)::int AS checked_in_count
+    FROM event_sessions s
+    LEFT JOIN session_checkins c ON c.session_id = s.id
+    WHERE s.event_id = $1
+    GROUP BY s.id
+    ORDER BY s.position ASC, s.id ASC
+  `,
+    [eventId],
+  );
+  // Households and other groups; a group counts as arrived once any member has
+  const groups = await pool.query(
+    `
+    SELECT COUNT(DISTINCT g.id)::int AS group_count,
+      COUNT(DISTINCT CASE WHEN a.checked_in THEN g.id END)::int AS groups_checked_in_count
+    FROM attendee_groups g
+    LEFT JOIN attendees a ON a.group_id = g.id
+    WHERE g.event_id = $1
+  `,
+    [eventId],
+  );
+  return { ...res.rows[0], ...groups.rows[0], sessions: sessions.rows };
+}
+
+// Helper: emit to all clients watching this event
+function emitToEvent(req, eventId, event, payload) {
+  const io = req.app.get("io");
+  if (io) io.to(`event:${eventId}`).emit(event, payload);
+}
+
+module.exports = { getEventStats, emitToEvent };
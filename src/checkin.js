@@ -0,0 +1,753 @@
+const pool = require("./db");
+const { getEventStats, emitToEvent } = require("./broadcast");
+const { recordAttendeeEvent } = require("./audit");
+const { loadGroup } = require("./groups");
+const {
+  pickupCodeMatches,
+  withoutPickupCode,
+  assignPickupCodes,
+  voidPickupCodes,
+  loadGuardians,
+} = require("./children");
+
+/**
+ * resolveSession
+ *
+ * Events with sessions are checked in per session, so a session id is
+ * required there and must belong to the event. Resolves { session } (null
+ * for events without sessions) or { error } as { status, body }.
+ */
+async function resolveSession(eventId, sessionId) {
+  if (sessionId !== undefined && sessionId !== null && sessionId !== "") {
+    const result = await pool.query(
+      "SELECT * FROM event_sessions WHERE id = $1 AND event_id = $2",
+      [sessionId, eventId],
+    );
+    if (result.rows.length === 0) {
+      return {
+        error: {
+          status: 404,
+          body: { success: false, code: "SESSION_NOT_FOUND", message: "Session not found" },
+        },
+      };
+    }
+    return { session: result.rows[0] };
+  }
+
+  const count = await pool.query(
+    "SELECT COUNT(id)::int AS cnt FROM event_sessions WHERE event_id = $1",
+    [eventId],
+  );
+  if (count.rows[0].cnt > 0) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          success: false,
+          code: "SESSION_REQUIRED",
+          message: "This event has sessions. Choose the session to check in to.",
+        },
+      },
+    };
+  }
+  return { session: null };
+}
+
+/**
+ * syncAttendanceFromSessions
+ *
+ * Recomputes attendees.checked_in / checked_in_at from their remaining
+ * session check-ins: checked in while any remain, at the earliest one.
+ */
+async function syncAttendanceFromSessions(db, attendeeIds) {
+  const result = await db.query(
+    `UPDATE attendees a SET
+       checked_in = EXISTS (SELECT 1 FROM session_checkins c WHERE c.attendee_id = a.id),
+       checked_in_at = (SELECT MIN(c.checked_in_at) FROM session_checkins c WHERE c.attendee_id = a.id),
+       updated_at = NOW()
+     WHERE a.id = ANY($1::int[]) RETURNING *`,
+    [attendeeIds],
+  );
+  return result.rows;
+}
+
+/**
+ * checkInAttendee
+ *
+ * The single-attendee check-in used by PATCH /:attendeeId/checkin and every
+ * other way of checking someone in (QR scan, …). Resolves { status, body }
+ * for the route to send, so all callers answer with the same codes
+ * (CHECKIN_SUCCESS / ALREADY_CHECKED_IN / WAITLISTED / ATTENDEE_NOT_FOUND /
+ * EVENT_FINISHED / SESSION_REQUIRED / SESSION_NOT_FOUND) and broadcast the same
+ * attendee:checked_in event. Pass `sessionId` for events with sessions.
+ * For a group member, `group` lists the rest of the group and whether each
+ * is checked in, so the door can offer to check them in too. Children get a
+ * pickup_code (see assignPickupCodes), returned with their `guardians` for
+ * the labels.
+ */
+async function checkInAttendee(req, eventId, attendeeId, { sessionId } = {}) {
+  // Block check-in if event is finished
+  const eventCheck = await pool.query(
+    "SELECT is_finished FROM events WHERE id = $1",
+    [eventId],
+  );
+  if (eventCheck.rows.length === 0) {
+    return {
+      status: 404,
+      body: { success: false, code: "EVENT_NOT_FOUND", message: "Event not found" },
+    };
+  }
+  if (eventCheck.rows[0].is_finished) {
+    return {
+      status: 403,
+      body: {
+        success: false,
+        message: "This event has been finished. Check-in is disabled.",
+        code: "EVENT_FINISHED",
+      },
+    };
+  }
+
+  const { session, error } = await resolveSession(eventId, sessionId);
+  if (error) return error;
+
+  const current = await pool.query(
+    "SELECT * FROM attendees WHERE id = $1 AND event_id = $2",
+    [attendeeId, eventId],
+  );
+
+  if (current.rows.length === 0) {
+    return {
+      status: 404,
+      body: { success: false, code: "ATTENDEE_NOT_FOUND", message: "Attendee not found" },
+    };
+  }
+
+  const attendee = current.rows[0];
+
+  // Only seated attendees may come in; the capacity is what limits attendance
+  if (attendee.waitlist_position !== null) {
+    return {
+      status: 409,
+      body: {
+        success: false,
+        code: "WAITLISTED",
+        message: `${attendee.name} is on the waitlist (position ${attendee.waitlist_position})`,
+        data: withoutPickupCode(attendee),
+      },
+    };
+  }
+
+  const group = attendee.group_id
+    ? await loadGroup(eventId, attendee.group_id, { sessionId: session?.id, excludeId: attendee.id })
+    : null;
+  const guardians = attendee.is_child
+    ? (await loadGuardians([attendee.id])).get(attendee.id) || []
+    : null;
+
+  const alreadyCheckedIn = (row) => ({
+    // Return the attendee data so the client can format the time in its own timezone
+    status: 409,
+    body: {
+      success: false,
+      message: session
+        ? `${row.name} is already checked in to ${session.name}`
+        : `${row.name} is already checked in`,
+      code: "ALREADY_CHECKED_IN",
+      data: withoutPickupCode(row),
+      group,
+      guardians,
+    },
+  });
+
+  let updated;
+  if (session) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      // The primary key guards against two door devices checking in the same person at once
+      const inserted = await client.query(
+        `INSERT INTO session_checkins (session_id, attendee_id) VALUES ($1, $2)
+         ON CONFLICT DO NOTHING RETURNING checked_in_at`,
+        [session.id, attendeeId],
+      );
+      if (inserted.rows.length === 0) {
+        await client.query("ROLLBACK");
+        const existing = await pool.query(
+          "SELECT checked_in_at FROM session_checkins WHERE session_id = $1 AND attendee_id = $2",
+          [session.id, attendeeId],
+        );
+        return alreadyCheckedIn({
+          ...attendee,
+          session_id: session.id,
+          session_checked_in_at: existing.rows[0]?.checked_in_at || null,
+        });
+      }
+
+      const result = await client.query(
+        `UPDATE attendees SET checked_in = TRUE, checked_in_at = COALESCE(checked_in_at, $3),
+           updated_at = NOW()
+         WHERE id = $1 AND event_id = $2 RETURNING *`,
+        [attendeeId, eventId, inserted.rows[0].checked_in_at],
+      );
+      const [row] = await assignPickupCodes(client, result.rows);
+      updated = {
+        ...row,
+        session_id: session.id,
+        session_checked_in_at: inserted.rows[0].checked_in_at,
+      };
+
+      await recordAttendeeEvent(client, req, {
+        eventId,
+        attendeeId,
+        action: "checkin",
+        before: attendee,
+        after: updated,
+      });
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  } else {
+    if (attendee.checked_in) return alreadyCheckedIn(attendee);
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      // NOT checked_in guards against two door devices checking in the same person at once
+      const result = await client.query(
+        `UPDATE attendees SET checked_in = TRUE, checked_in_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND event_id = $2 AND NOT checked_in RETURNING *`,
+        [attendeeId, eventId],
+      );
+      if (result.rows.length === 0) {
+        await client.query("ROLLBACK");
+        const latest = await pool.query("SELECT * FROM attendees WHERE id = $1", [attendeeId]);
+        return alreadyCheckedIn(latest.rows[0] || attendee);
+      }
+      [updated] = await assignPickupCodes(client, result.rows);
+
+      await recordAttendeeEvent(client, req, {
+        eventId,
+        attendeeId,
+        action: "checkin",
+        before: attendee,
+        after: updated,
+      });
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  const stats = await getEventStats(eventId);
+
+  emitToEvent(req, eventId, "attendee:checked_in", {
+    eventId: parseInt(eventId),
+    sessionId: session ? session.id : null,
+    attendee: withoutPickupCode(updated),
+    stats,
+  });
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      code: "CHECKIN_SUCCESS",
+      attendeeName: updated.name,
+      message: "CHECKIN_SUCCESS",
+      data: updated,
+      group,
+      guardians,
+    },
+  };
+}
+
+/**
+ * undoCheckIn
+ *
+ * Reverts a check-in — for one session when `sessionId` is given, otherwise
+ * for the whole event. Resolves { status, body } like checkInAttendee and
+ * broadcasts attendee:unchecked. A child's pickup code is void afterwards.
+ * Answers 409 NOT_CHECKED_IN, changing nothing, when there is no check-in.
+ */
+async function undoCheckIn(req, eventId, attendeeId, { sessionId } = {}) {
+  const { session, error } = await resolveSession(eventId, sessionId);
+  if (error) return error;
+
+  const current = await pool.query(
+    "SELECT * FROM attendees WHERE id = $1 AND event_id = $2",
+    [attendeeId, eventId],
+  );
+  if (current.rows.length === 0) {
+    return {
+      status: 404,
+      body: { success: false, code: "ATTENDEE_NOT_FOUND", message: "Attendee not found" },
+    };
+  }
+
+  const notCheckedIn = {
+    status: 409,
+    body: {
+      success: false,
+      code: "NOT_CHECKED_IN",
+      message: session
+        ? `${current.rows[0].name} is not checked in to ${session.name}`
+        : `${current.rows[0].name} is not checked in`,
+    },
+  };
+
+  let updated;
+  if (session) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const removed = await client.query(
+        "DELETE FROM session_checkins WHERE session_id = $1 AND attendee_id = $2 RETURNING checked_in_at",
+        [session.id, attendeeId],
+      );
+      if (removed.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return notCheckedIn;
+      }
+      await voidPickupCodes(client, [parseInt(attendeeId)]);
+      const [row] = await syncAttendanceFromSessions(client, [parseInt(attendeeId)]);
+      updated = { ...row, session_id: session.id, session_checked_in_at: null };
+
+      // The session row is gone; the audit entry keeps its original time
+      await recordAttendeeEvent(client, req, {
+        eventId,
+        attendeeId,
+        action: "undo_checkin",
+        before: {
+          ...current.rows[0],
+          session_id: session.id,
+          session_checked_in_at: removed.rows[0].checked_in_at,
+        },
+        after: updated,
+      });
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  } else {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await client.query(
+        `UPDATE attendees SET checked_in = FALSE, checked_in_at = NULL, pickup_code = NULL,
+           checked_out_at = NULL, updated_at = NOW()
+         WHERE id = $1 AND event_id = $2 AND checked_in RETURNING *`,
+        [attendeeId, eventId],
+      );
+      if (result.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return notCheckedIn;
+      }
+      updated = result.rows[0];
+
+      // The row loses checked_in_at here; the audit entry keeps the original time
+      await recordAttendeeEvent(client, req, {
+        eventId,
+        attendeeId,
+        action: "undo_checkin",
+        before: current.rows[0],
+        after: updated,
+      });
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  const stats = await getEventStats(eventId);
+
+  emitToEvent(req, eventId, "attendee:unchecked", {
+    eventId: parseInt(eventId),
+    sessionId: session ? session.id : null,
+    attendee: withoutPickupCode(updated),
+    stats,
+  });
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      code: "UNDO_SUCCESS",
+      message: "Check-in undone",
+      data: updated,
+    },
+  };
+}
+
+/**
+ * checkOutChild
+ *
+ * Hands a checked-in child back to whoever presents their pickup code.
+ * Resolves { status, body } (CHECKOUT_SUCCESS / PICKUP_CODE_MISMATCH /
+ * NOT_A_CHILD / NOT_CHECKED_IN / ALREADY_CHECKED_OUT / ATTENDEE_NOT_FOUND)
+ * and broadcasts attendee:checked_out. Finished events still allow it:
+ * children must be collected either way.
+ */
+async function checkOutChild(req, eventId, attendeeId, { pickupCode }) {
+  const current = await pool.query(
+    "SELECT * FROM attendees WHERE id = $1 AND event_id = $2",
+    [attendeeId, eventId],
+  );
+  if (current.rows.length === 0) {
+    return {
+      status: 404,
+      body: { success: false, code: "ATTENDEE_NOT_FOUND", message: "Attendee not found" },
+    };
+  }
+
+  const attendee = current.rows[0];
+  if (!attendee.is_child) {
+    return {
+      status: 400,
+      body: { success: false, code: "NOT_A_CHILD", message: `${attendee.name} is not checked in as a child` },
+    };
+  }
+
+  const alreadyCheckedOut = (row) => ({
+    status: 409,
+    body: {
+      success: false,
+      code: "ALREADY_CHECKED_OUT",
+      message: `${row.name} has already been picked up`,
+      data: withoutPickupCode(row),
+    },
+  });
+  if (attendee.checked_out_at) return alreadyCheckedOut(attendee);
+
+  if (!attendee.checked_in || !attendee.pickup_code) {
+    return {
+      status: 409,
+      body: { success: false, code: "NOT_CHECKED_IN", message: `${attendee.name} is not checked in` },
+    };
+  }
+  if (!pickupCodeMatches(attendee.pickup_code, pickupCode)) {
+    return {
+      status: 403,
+      body: {
+        success: false,
+        code: "PICKUP_CODE_MISMATCH",
+        message: "The pickup code does not match this child",
+      },
+    };
+  }
+
+  let updated;
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    // checked_out_at IS NULL guards against two devices handing over the same child
+    const result = await client.query(
+      `UPDATE attendees SET checked_out_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND event_id = $2 AND pickup_code = $3 AND checked_out_at IS NULL RETURNING *`,
+      [attendeeId, eventId, attendee.pickup_code],
+    );
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      const latest = await pool.query("SELECT * FROM attendees WHERE id = $1", [attendeeId]);
+      return alreadyCheckedOut(latest.rows[0] || attendee);
+    }
+    updated = result.rows[0];
+
+    await recordAttendeeEvent(client, req, {
+      eventId,
+      attendeeId,
+      action: "checkout",
+      before: attendee,
+      after: updated,
+    });
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const stats = await getEventStats(eventId);
+
+  emitToEvent(req, eventId, "attendee:checked_out", {
+    eventId: parseInt(eventId),
+    attendee: withoutPickupCode(updated),
+    stats,
+  });
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      code: "CHECKOUT_SUCCESS",
+      attendeeName: updated.name,
+      message: "CHECKOUT_SUCCESS",
+      data: updated,
+    },
+  };
+}
+
+// Helper: per-id outcome of a bulk check-in or undo, in the order requested
+function bulkResults(attendeeIds, found, changed, unchangedCode, waitlisted = new Set()) {
+  return attendeeIds.map((id) => ({
+    attendee_id: id,
+    code: !found.has(id)
+      ? "ATTENDEE_NOT_FOUND"
+      : changed.has(id)
+        ? "OK"
+        : waitlisted.has(id)
+          ? "WAITLISTED"
+          : unchangedCode,
+  }));
+}
+
+/**
+ * bulkCheckIn
+ *
+ * Checks in many attendees in one transaction — a family or a bus arriving
+ * together. Ids outside the event are reported, not fatal. Resolves
+ * { status, body } with a per-id `results` entry (OK / ALREADY_CHECKED_IN /
+ * WAITLISTED / ATTENDEE_NOT_FOUND) and broadcasts one attendees:checked_in event for
+ * the whole batch, tagged with `groupId` when checking in a group.
+ * Event and session errors are those of checkInAttendee.
+ */
+async function bulkCheckIn(req, eventId, attendeeIds, { sessionId, groupId } = {}) {
+  const eventCheck = await pool.query(
+    "SELECT is_finished FROM events WHERE id = $1",
+    [eventId],
+  );
+  if (eventCheck.rows.length === 0) {
+    return {
+      status: 404,
+      body: { success: false, code: "EVENT_NOT_FOUND", message: "Event not found" },
+    };
+  }
+  if (eventCheck.rows[0].is_finished) {
+    return {
+      status: 403,
+      body: {
+        success: false,
+        message: "This event has been finished. Check-in is disabled.",
+        code: "EVENT_FINISHED",
+      },
+    };
+  }
+
+  const { session, error } = await resolveSession(eventId, sessionId);
+  if (error) return error;
+
+  let updated;
+  let found;
+  let waitlisted;
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const current = await client.query(
+      "SELECT * FROM attendees WHERE event_id = $1 AND id = ANY($2::int[]) ORDER BY id FOR UPDATE",
+      [eventId, attendeeIds],
+    );
+    const before = new Map(current.rows.map((row) => [row.id, row]));
+    found = new Set(before.keys());
+    // The waitlist stays out, as with a single check-in
+    waitlisted = new Set(
+      current.rows.filter((row) => row.waitlist_position !== null).map((row) => row.id),
+    );
+    const seated = [...found].filter((id) => !waitlisted.has(id));
+
+    if (session) {
+      // The primary key skips anyone already checked in to the session
+      const inserted = await client.query(
+        `INSERT INTO session_checkins (session_id, attendee_id)
+         SELECT $1, unnest($2::int[])
+         ON CONFLICT DO NOTHING RETURNING attendee_id, checked_in_at`,
+        [session.id, seated],
+      );
+      const result = await client.query(
+        `UPDATE attendees a SET checked_in = TRUE, checked_in_at = COALESCE(a.checked_in_at, c.checked_in_at),
+           updated_at = NOW()
+         FROM session_checkins c
+         WHERE c.attendee_id = a.id AND c.session_id = $1 AND a.id = ANY($2::int[])
+         RETURNING a.*, c.checked_in_at AS session_checked_in_at`,
+        [session.id, inserted.rows.map((row) => row.attendee_id)],
+      );
+      updated = result.rows.map((row) => ({ ...row, session_id: session.id }));
+    } else {
+      const result = await client.query(
+        `UPDATE attendees SET checked_in = TRUE, checked_in_at = NOW(), updated_at = NOW()
+         WHERE event_id = $1 AND id = ANY($2::int[]) AND NOT COALESCE(checked_in, FALSE) RETURNING *`,
+        [eventId, seated],
+      );
+      updated = result.rows;
+    }
+    updated = await assignPickupCodes(client, updated);
+
+    for (const row of updated) {
+      await recordAttendeeEvent(client, req, {
+        eventId,
+        attendeeId: row.id,
+        action: "checkin",
+        before: before.get(row.id),
+        after: row,
+      });
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const results = bulkResults(
+    attendeeIds,
+    found,
+    new Set(updated.map((row) => row.id)),
+    "ALREADY_CHECKED_IN",
+    waitlisted,
+  );
+  const stats = await getEventStats(eventId);
+
+  if (updated.length > 0)
+    emitToEvent(req, eventId, "attendees:checked_in", {
+      eventId: parseInt(eventId),
+      sessionId: session ? session.id : null,
+      groupId: groupId ?? null,
+      attendees: updated.map(withoutPickupCode),
+      stats,
+    });
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      code: "BULK_CHECKIN_COMPLETE",
+      message: "BULK_CHECKIN_COMPLETE",
+      checked_in: updated.length,
+      results,
+      data: updated,
+      stats,
+    },
+  };
+}
+
+/**
+ * bulkUndoCheckIn
+ *
+ * The undo counterpart of bulkCheckIn: one transaction, per-id `results`
+ * (OK / NOT_CHECKED_IN / ATTENDEE_NOT_FOUND) and one attendees:unchecked
+ * broadcast. Per session when `sessionId` is given, like undoCheckIn.
+ */
+async function bulkUndoCheckIn(req, eventId, attendeeIds, { sessionId } = {}) {
+  const { session, error } = await resolveSession(eventId, sessionId);
+  if (error) return error;
+
+  let updated;
+  let found;
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const current = await client.query(
+      "SELECT * FROM attendees WHERE event_id = $1 AND id = ANY($2::int[]) ORDER BY id FOR UPDATE",
+      [eventId, attendeeIds],
+    );
+    const before = new Map(current.rows.map((row) => [row.id, row]));
+    found = new Set(before.keys());
+
+    // Audit entries keep the check-in time the rows lose here
+    const removedAt = new Map();
+    if (session) {
+      const removed = await client.query(
+        `DELETE FROM session_checkins WHERE session_id = $1 AND attendee_id = ANY($2::int[])
+         RETURNING attendee_id, checked_in_at`,
+        [session.id, [...found]],
+      );
+      for (const row of removed.rows) removedAt.set(row.attendee_id, row.checked_in_at);
+      await voidPickupCodes(client, [...removedAt.keys()]);
+      const rows = await syncAttendanceFromSessions(client, [...removedAt.keys()]);
+      updated = rows.map((row) => ({ ...row, session_id: session.id, session_checked_in_at: null }));
+    } else {
+      const result = await client.query(
+        `UPDATE attendees SET checked_in = FALSE, checked_in_at = NULL, pickup_code = NULL,
+           checked_out_at = NULL, updated_at = NOW()
+         WHERE event_id = $1 AND id = ANY($2::int[]) AND checked_in RETURNING *`,
+        [eventId, [...found]],
+      );
+      updated = result.rows;
+    }
+
+    for (const row of updated) {
+      await recordAttendeeEvent(client, req, {
+        eventId,
+        attendeeId: row.id,
+        action: "undo_checkin",
+        before: session
+          ? {
+              ...before.get(row.id),
+              session_id: session.id,
+              session_checked_in_at: removedAt.get(row.id),
+            }
+          : before.get(row.id),
+        after: row,
+      });
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const results = bulkResults(
+    attendeeIds,
+    found,
+    new Set(updated.map((row) => row.id)),
+    "NOT_CHECKED_IN",
+  );
+  const stats = await getEventStats(eventId);
+
+  if (updated.length > 0)
+    emitToEvent(req, eventId, "attendees:unchecked", {
+      eventId: parseInt(eventId),
+      sessionId: session ? session.id : null,
+      attendees: updated.map(withoutPickupCode),
+      stats,
+    });
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      code: "BULK_UNDO_COMPLETE",
+      message: "BULK_UNDO_COMPLETE",
+      undone: updated.length,
+      results,
+      data: updated,
+      stats,
+    },
+  };
+}
+
+module.exports = {
+  checkInAttendee,
+  undoCheckIn,
+  bulkCheckIn,
+  bulkUndoCheckIn,
+  checkOutChild,
+  resolveSession,
+  syncAttendanceFromSessions,
+};
@@ -0,0 +1,125 @@
+const crypto = require("crypto");
+const pool = require("./db");
+
+// Pickup codes are read off a sticker and typed in at the door, so they are
+// short and leave out look-alike characters (0/O, 1/I/L, 2/Z, 5/S, 8/B).
+// Guessing is held off by the rate limit on check-out, not by length.
+const PICKUP_CODE_ALPHABET = "ACDEFGHJKMNPQRTUVWXY34679";
+const PICKUP_CODE_LENGTH = 4;
+
+function createPickupCode() {
+  let code = "";
+  for (let i = 0; i < PICKUP_CODE_LENGTH; i++) {
+    code += PICKUP_CODE_ALPHABET[crypto.randomInt(PICKUP_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+// Compared case-insensitively and ignoring spaces, in constant time
+function pickupCodeMatches(expected, presented) {
+  if (!expected || typeof presented !== "string") return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(presented.replace(/\s+/g, "").toUpperCase());
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// The row as broadcast to the event room: pickup codes go only to whoever
+// checked the child in, through the check-in response and label routes
+function withoutPickupCode(row) {
+  const { pickup_code, ...rest } = row;
+  return rest;
+}
+
+/**
+ * assignPickupCodes
+ *
+ * Gives a pickup code to every child among the just checked-in `rows` that
+ * has none, or whose last one was used to check them out (clearing that
+ * check-out). A child checked in to another session keeps the code on their
+ * label until they are checked out or the check-in is undone. Resolves
+ * `rows` with those columns updated; everyone else is returned as is.
+ */
+async function assignPickupCodes(db, rows) {
+  const children = rows.filter((row) => row.is_child);
+  if (children.length === 0) return rows;
+
+  const result = await db.query(
+    `UPDATE attendees a SET pickup_code = c.code, checked_out_at = NULL
+     FROM unnest($1::int[], $2::text[]) AS c(id, code)
+     WHERE a.id = c.id AND (a.pickup_code IS NULL OR a.checked_out_at IS NOT NULL)
+     RETURNING a.id, a.pickup_code, a.checked_out_at`,
+    [children.map((row) => row.id), children.map(() => createPickupCode())],
+  );
+  const codes = new Map(result.rows.map((row) => [row.id, row]));
+  return rows.map((row) => (codes.has(row.id) ? { ...row, ...codes.get(row.id) } : row));
+}
+
+// An undone session check-in voids the child's pickup code and check-out,
+// unless the child is still checked in to another session: call it after
+// deleting the session_checkins row
+async function voidPickupCodes(db, attendeeIds) {
+  await db.query(
+    `UPDATE attendees a SET pickup_code = NULL, checked_out_at = NULL
+     WHERE a.id = ANY($1::int[]) AND a.is_child
+       AND NOT EXISTS (SELECT 1 FROM session_checkins c WHERE c.attendee_id = a.id)`,
+    [attendeeIds],
+  );
+}
+
+/**
+ * loadGuardians
+ *
+ * The guardians of each child in `childIds`, as a Map of child id →
+ * [{ id, name, phone_number }]. Children without guardians are left out.
+ */
+async function loadGuardians(childIds, db = pool) {
+  const result = await db.query(
+    `SELECT g.child_id, a.id, a.name, a.phone_number
+     FROM attendee_guardians g
+     JOIN attendees a ON a.id = g.guardian_id
+     WHERE g.child_id = ANY($1::int[])
+     ORDER BY a.name ASC, a.id ASC`,
+    [childIds],
+  );
+  const guardians = new Map();
+  for (const { child_id, ...guardian } of result.rows) {
+    if (!guardians.has(child_id)) guardians.set(child_id, []);
+    guardians.get(child_id).push(guardian);
+  }
+  return guardians;
+}
+
+/**
+ * setGuardians
+ *
+ * Makes `guardianIds` the child's guardians, replacing any before. Resolves
+ * the ids that are not other attendees of the event (nothing is changed
+ * then) or null on success.
+ */
+async function setGuardians(db, eventId, childId, guardianIds) {
+  const found = await db.query(
+    "SELECT id FROM attendees WHERE event_id = $1 AND id = ANY($2::int[]) AND id <> $3",
+    [eventId, guardianIds, childId],
+  );
+  if (found.rows.length !== guardianIds.length) {
+    const known = new Set(found.rows.map((row) => row.id));
+    return guardianIds.filter((id) => !known.has(id));
+  }
+
+  await db.query("DELETE FROM attendee_guardians WHERE child_id = $1", [childId]);
+  await db.query(
+    `INSERT INTO attendee_guardians (child_id, guardian_id)
+     SELECT $1, unnest($2::int[])`,
+    [childId, guardianIds],
+  );
+  return null;
+}
+
+module.exports = {
+  pickupCodeMatches,
+  withoutPickupCode,
+  assignPickupCodes,
+  voidPickupCodes,
+  loadGuardians,
+  setGuardians,
+};
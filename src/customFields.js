@@ -0,0 +1,159 @@
+const pool = require("./db");
+
+const FIELD_TYPES = ["text", "number", "select", "multiselect", "boolean", "date"];
+
+// Keys that would clash with the built-in columns in import mappings and exports
+const RESERVED_KEYS = [
+  "id",
+  "name",
+  "phone",
+  "phone_number",
+  "email",
+  "home_church",
+  "group",
+  "source",
+  "checked_in",
+];
+
+const TRUE_VALUES = ["true", "yes", "ya", "y", "1"];
+const FALSE_VALUES = ["false", "no", "tidak", "n", "0"];
+
+// "T-shirt Size" → "t_shirt_size"
+function slugifyKey(label) {
+  return label
+    .toString()
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 50);
+}
+
+async function loadEventFields(eventId, db = pool) {
+  const result = await db.query(
+    "SELECT * FROM event_fields WHERE event_id = $1 ORDER BY position ASC, id ASC",
+    [eventId],
+  );
+  return result.rows;
+}
+
+function isBlank(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    (typeof value === "string" && value.trim() === "") ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+// Coerces one raw value to the field's type. Returns { value } or { error }.
+function coerceValue(field, raw) {
+  const options = field.options || [];
+  const findOption = (v) =>
+    options.find((o) => o.toLowerCase() === v.toString().trim().toLowerCase());
+
+  switch (field.type) {
+    case "number": {
+      const n = Number(raw.toString().trim().replace(",", "."));
+      return Number.isFinite(n) ? { value: n } : { error: "must be a number" };
+    }
+    case "boolean": {
+      const v = raw.toString().trim().toLowerCase();
+      if (TRUE_VALUES.includes(v)) return { value: true };
+      if (FALSE_VALUES.includes(v)) return { value: false };
+      return { error: "must be yes or no" };
+    }
+    case "date": {
+      // Spreadsheet dates arrive as Excel serial day numbers
+      const v =
+        raw instanceof Date
+          ? raw
+          : typeof raw === "number"
+            ? new Date(Math.round((raw - 25569) * 86400000))
+            : new Date(raw.toString().trim());
+      return Number.isNaN(v.getTime())
+        ? { error: "must be a date" }
+        : { value: v.toISOString().slice(0, 10) };
+    }
+    case "select": {
+      const option = findOption(raw);
+      return option ? { value: option } : { error: `must be one of: ${options.join(", ")}` };
+    }
+    case "multiselect": {
+      const parts = Array.isArray(raw) ? raw : raw.toString().split(/[,;]/);
+      const picked = [];
+      for (const part of parts.filter((p) => !isBlank(p))) {
+        const option = findOption(part);
+        if (!option) return { error: `must be any of: ${options.join(", ")}` };
+        if (!picked.includes(option)) picked.push(option);
+      }
+      return { value: picked };
+    }
+    default:
+      return { value: raw.toString().trim() };
+  }
+}
+
+/**
+ * validateCustomValues
+ *
+ * Checks submitted values against the event's field definitions. Unknown keys
+ * are rejected, blanks clear the value, and required fields must end up set
+ * in `existing` merged with `values`. Returns { values, errors } where
+ * `values` is the merged object to store and `errors` is shaped like
+ * express-validator's errors.array() so clients handle both the same way.
+ */
+function validateCustomValues(fields, values, { existing = {}, enforceRequired = true } = {}) {
+  const merged = { ...existing };
+  const errors = [];
+  const fail = (key, msg) =>
+    errors.push({ type: "field", location: "body", path: `custom_fields.${key}`, msg });
+  const byKey = new Map(fields.map((f) => [f.key, f]));
+
+  for (const [key, raw] of Object.entries(values || {})) {
+    const field = byKey.get(key);
+    if (!field) {
+      fail(key, "Unknown field");
+      continue;
+    }
+    if (isBlank(raw)) {
+      delete merged[key];
+      continue;
+    }
+    const { value, error } = coerceValue(field, raw);
+    if (error) fail(key, `${field.label} ${error}`);
+    else merged[key] = value;
+  }
+
+  if (enforceRequired) {
+    for (const field of fields) {
+      if (field.required && isBlank(merged[field.key])) {
+        fail(field.key, `${field.label} is required`);
+      }
+    }
+  }
+
+  // Drop values whose field definition has since been deleted
+  for (const key of Object.keys(merged)) {
+    if (!byKey.has(key)) delete merged[key];
+  }
+
+  return { values: merged, errors };
+}
+
+// Value as shown in the Excel export; `labels` supplies the yes/no words
+function formatValue(value, labels) {
+  if (value === undefined || value === null) return "";
+  if (Array.isArray(value)) return value.join(", ");
+  if (typeof value === "boolean") return value ? labels.value_yes : labels.value_no;
+  return value;
+}
+
+module.exports = {
+  FIELD_TYPES,
+  RESERVED_KEYS,
+  slugifyKey,
+  loadEventFields,
+  validateCustomValues,
+  formatValue,
+};
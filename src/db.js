@@ -19,8 +19,15 @@ if (process.env.DATABASE_URL) {
   });
 }
 
-pool.on('connect', () => {
+// Fuzzy name search matches with `term <% name_search`, which the trigram
+// index can serve; it matches from this word similarity ("jon" ↔ "john" is 0.5)
+const NAME_SIMILARITY_MIN = 0.4;
+
+pool.on('connect', (client) => {
   console.log('Connected to PostgreSQL database');
+  client
+    .query(`SET pg_trgm.word_similarity_threshold = ${NAME_SIMILARITY_MIN}`)
+    .catch((err) => console.error('Could not set the trigram threshold', err));
 });
 
 pool.on('error', (err) => {
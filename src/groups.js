@@ -0,0 +1,70 @@
+const pool = require("./db");
+
+/**
+ * findOrCreateGroup
+ *
+ * The event's group with this name (compared case-insensitively), created
+ * when missing. Used by the importer so every row naming the same family
+ * lands in one group.
+ */
+async function findOrCreateGroup(db, eventId, name) {
+  const result = await db.query(
+    `INSERT INTO attendee_groups (event_id, name) VALUES ($1, $2)
+     ON CONFLICT (event_id, LOWER(name)) DO UPDATE SET updated_at = attendee_groups.updated_at
+     RETURNING *`,
+    [eventId, name.slice(0, 255)],
+  );
+  return result.rows[0];
+}
+
+/**
+ * loadGroup
+ *
+ * The group with its members' check-in state — for `sessionId` when given —
+ * or null when the group is not in the event. `excludeId` leaves one member
+ * out, e.g. the attendee just checked in, to show "the rest of the family".
+ */
+async function loadGroup(eventId, groupId, { sessionId, excludeId, db = pool } = {}) {
+  const group = await db.query("SELECT * FROM attendee_groups WHERE id = $1 AND event_id = $2", [
+    groupId,
+    eventId,
+  ]);
+  if (group.rows.length === 0) return null;
+
+  const members = await db.query(
+    `SELECT a.id, a.name, a.phone_number, a.waitlist_position,
+       CASE WHEN $2::int IS NULL THEN COALESCE(a.checked_in, FALSE)
+         ELSE EXISTS (SELECT 1 FROM session_checkins c WHERE c.attendee_id = a.id AND c.session_id = $2)
+       END AS checked_in,
+       CASE WHEN $2::int IS NULL THEN a.checked_in_at
+         ELSE (SELECT c.checked_in_at FROM session_checkins c WHERE c.attendee_id = a.id AND c.session_id = $2)
+       END AS checked_in_at
+     FROM attendees a
+     WHERE a.group_id = $1 AND ($3::int IS NULL OR a.id <> $3)
+     ORDER BY a.name ASC, a.id ASC`,
+    [groupId, sessionId ?? null, excludeId ?? null],
+  );
+  return { ...group.rows[0], members: members.rows };
+}
+
+/**
+ * groupResolver
+ *
+ * For imports: a function from a group name to its id (null for a blank
+ * name), so rows naming the same family share one group and each name is
+ * looked up only once per import. A name from a JSON body is trimmed as
+ * text like a spreadsheet cell; anything but a string or number counts as
+ * blank, as other invalid import values are dropped.
+ */
+function groupResolver(db, eventId) {
+  const ids = new Map();
+  return async (value) => {
+    const name = typeof value === "string" || typeof value === "number" ? String(value).trim() : "";
+    if (!name) return null;
+    const key = name.toLowerCase();
+    if (!ids.has(key)) ids.set(key, (await findOrCreateGroup(db, eventId, name)).id);
+    return ids.get(key);
+  };
+}
+
+module.exports = { findOrCreateGroup, groupResolver, loadGroup };
@@ -0,0 +1,172 @@
+const crypto = require("crypto");
+const pool = require("./db");
+
+const MAX_KEY_LENGTH = 255;
+const TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) > 0 ? Number(process.env.IDEMPOTENCY_TTL_HOURS) : 24;
+// A key whose request never finished (the process died mid-request) can be
+// taken over after this long instead of answering IN_PROGRESS until it expires
+const STALE_RESERVATION_MS = 5 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+let nextSweep = 0;
+
+// Objects with their keys sorted, so the same body sent with its fields in
+// another order still fingerprints the same
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((k) => [k, canonical(value[k])]),
+    );
+  }
+  return value;
+}
+
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+// SHA-256 of a JSON value, the same whatever order its keys were sent in
+function digest(value) {
+  return sha256(JSON.stringify(canonical(value)));
+}
+
+// What a retry must repeat exactly: method, URL, body and uploaded file
+function fingerprint(req) {
+  return digest([
+    req.method,
+    req.originalUrl,
+    req.body ?? null,
+    req.file ? sha256(req.file.buffer) : null,
+  ]);
+}
+
+// Whose keys these are: the organizer account, or the event and role for
+// event tokens
+function keyScope(req) {
+  return req.auth.userId ? `user:${req.auth.userId}` : `event:${req.auth.eventId}:${req.auth.role}`;
+}
+
+// Drops expired keys at most once per interval, off the request path
+function sweepExpired() {
+  const now = Date.now();
+  if (now < nextSweep) return;
+  nextSweep = now + SWEEP_INTERVAL_MS;
+  pool.query("DELETE FROM idempotency_keys WHERE expires_at <= NOW()").catch((err) => console.error(err));
+}
+
+/**
+ * idempotent
+ *
+ * Honours an Idempotency-Key header on a mutating route. The first request
+ * with a key runs as usual and its JSON response is stored for
+ * IDEMPOTENCY_TTL_HOURS; a retry with the same key and the same request gets
+ * that response back with an Idempotent-Replayed header instead of running
+ * again. Reusing a key for a different request answers 422
+ * IDEMPOTENCY_KEY_MISMATCH, and a retry that arrives while the first is still
+ * running answers 409 IDEMPOTENCY_KEY_IN_PROGRESS. Server errors and rate
+ * limits are not stored, so those can be retried with the same key.
+ *
+ * Keys belong to the organizer account, or to the event and role for event
+ * tokens. Goes after the auth middleware and before any body sanitizers, so the
+ * fingerprint is taken from the body as it was sent. Requests without the
+ * header are not affected.
+ */
+async function idempotent(req, res, next) {
+  const key = req.get("Idempotency-Key");
+  if (key === undefined) return next();
+
+  if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      code: "INVALID_IDEMPOTENCY_KEY",
+      message: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`,
+    });
+  }
+
+  const scope = keyScope(req);
+  const print = fingerprint(req);
+  sweepExpired();
+
+  try {
+    // Takes the key unless a live row holds it; an expired or abandoned row is
+    // overwritten in place
+    const result = await pool.query(
+      `INSERT INTO idempotency_keys (scope, key, fingerprint, expires_at)
+       VALUES ($1, $2, $3, NOW() + $4::float8 * INTERVAL '1 hour')
+       ON CONFLICT (scope, key) DO UPDATE
+         SET fingerprint = EXCLUDED.fingerprint, status_code = NULL, response_body = NULL,
+             created_at = NOW(), expires_at = EXCLUDED.expires_at
+         WHERE idempotency_keys.expires_at <= NOW()
+            OR (idempotency_keys.status_code IS NULL
+                AND idempotency_keys.created_at <= NOW() - $5::float8 * INTERVAL '1 millisecond')
+       RETURNING scope`,
+      [scope, key, print, TTL_HOURS, STALE_RESERVATION_MS],
+    );
+    if (result.rows.length === 0) {
+      const existing = await pool.query(
+        `SELECT fingerprint, status_code, response_body FROM idempotency_keys
+         WHERE scope = $1 AND key = $2`,
+        [scope, key],
+      );
+      const row = existing.rows[0];
+
+      // Deleted between the two queries (the first request failed): run again
+      if (!row) return idempotent(req, res, next);
+
+      if (row.fingerprint !== print) {
+        return res.status(422).json({
+          success: false,
+          code: "IDEMPOTENCY_KEY_MISMATCH",
+          message: "This Idempotency-Key was already used for a different request",
+        });
+      }
+      if (row.status_code === null) {
+        res.set("Retry-After", "1");
+        return res.status(409).json({
+          success: false,
+          code: "IDEMPOTENCY_KEY_IN_PROGRESS",
+          message: "A request with this Idempotency-Key is still being processed",
+        });
+      }
+
+      res.set("Idempotent-Replayed", "true");
+      return res.status(row.status_code).json(row.response_body);
+    }
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+  }
+
+  // Stored as soon as the handler answers, even if the client has already gone
+  let answered = false;
+  const json = res.json.bind(res);
+  res.json = (data) => {
+    answered = true;
+    const keep = res.statusCode < 500 && res.statusCode !== 429;
+    const query = keep
+      ? pool.query(
+          `UPDATE idempotency_keys SET status_code = $3, response_body = $4
+           WHERE scope = $1 AND key = $2`,
+          [scope, key, res.statusCode, JSON.stringify(data)],
+        )
+      : pool.query("DELETE FROM idempotency_keys WHERE scope = $1 AND key = $2", [scope, key]);
+    query.catch((err) => console.error(err));
+    return json(data);
+  };
+
+  // Answered with something other than JSON (a file, Express's error page):
+  // nothing to replay
+  res.on("finish", () => {
+    if (answered) return;
+    pool
+      .query("DELETE FROM idempotency_keys WHERE scope = $1 AND key = $2", [scope, key])
+      .catch((err) => console.error(err));
+  });
+
+  next();
+}
+
+module.exports = { idempotent, keyScope, digest };
@@ -0,0 +1,174 @@
+const XLSX = require("xlsx");
+
+// Header keywords recognised for each attendee field, matched case-insensitively
+const FIELD_KEYWORDS = {
+  name: [
+    "name",
+    "full name",
+    "fullname",
+    "nama",
+    "nama lengkap",
+    "your name",
+    "participant name",
+  ],
+  phone: [
+    "phone",
+    "phone number",
+    "phonenumber",
+    "mobile",
+    "hp",
+    "no hp",
+    "no. hp",
+    "nomor hp",
+    "whatsapp",
+    "no telepon",
+    "handphone",
+  ],
+  email: ["email", "email address", "emailaddress", "e-mail"],
+  home_church: [
+    "gereja asal",
+    "gereja",
+    "asal gereja",
+    "home church",
+    "church",
+  ],
+  group: ["keluarga", "nama keluarga", "family", "household", "group", "kelompok"],
+};
+
+const IMPORT_FIELDS = Object.keys(FIELD_KEYWORDS);
+
+function headerKey(header) {
+  return header.toString().toLowerCase().trim();
+}
+
+/**
+ * readSheet
+ *
+ * Parses an uploaded CSV/XLS/XLSX buffer. Uses the named sheet, or the first
+ * one when `sheetName` is empty. Returns null for the sheet when the name is unknown.
+ */
+function readSheet(buffer, sheetName) {
+  const workbook = XLSX.read(buffer, { type: "buffer" });
+  const name = sheetName || workbook.SheetNames[0];
+  const sheet = workbook.Sheets[name];
+  if (!sheet) return { sheets: workbook.SheetNames, sheet: null, headers: [], rows: [] };
+
+  const rows = XLSX.utils.sheet_to_json(sheet, { defval: "" });
+  const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+  return { sheets: workbook.SheetNames, sheet: name, headers, rows };
+}
+
+// Built-in keywords plus each custom field's label and key
+function keywordsFor(customFields) {
+  const keywords = { ...FIELD_KEYWORDS };
+  for (const field of customFields) {
+    keywords[field.key] = [headerKey(field.label), field.key.replace(/_/g, " ")];
+  }
+  return keywords;
+}
+
+/**
+ * proposeMapping
+ *
+ * Guesses which header feeds each field, including the event's custom fields.
+ * Exact keyword matches win first; otherwise a header containing keywords of
+ * several fields goes to the field with the longest keyword, so
+ * "Name of Church" maps to home_church ("church") rather than name ("name").
+ * A header is never used for two fields.
+ */
+function proposeMapping(headers, customFields = []) {
+  const keywords = keywordsFor(customFields);
+  const fields = Object.keys(keywords);
+  const mapping = Object.fromEntries(fields.map((field) => [field, null]));
+  const taken = new Set();
+
+  for (const field of fields) {
+    const exact = headers.find(
+      (h) => !taken.has(h) && keywords[field].includes(headerKey(h)),
+    );
+    if (exact) {
+      mapping[field] = exact;
+      taken.add(exact);
+    }
+  }
+
+  // Best substring match per header: the field whose keyword is longest
+  const candidates = [];
+  for (const header of headers) {
+    if (taken.has(header)) continue;
+    let best = null;
+    for (const field of fields) {
+      if (mapping[field]) continue;
+      for (const keyword of keywords[field]) {
+        if (headerKey(header).includes(keyword) && (!best || keyword.length > best.length)) {
+          best = { field, length: keyword.length };
+        }
+      }
+    }
+    if (best) candidates.push({ header, ...best });
+  }
+
+  candidates.sort((a, b) => b.length - a.length);
+  for (const { header, field } of candidates) {
+    if (mapping[field] || taken.has(header)) continue;
+    mapping[field] = header;
+    taken.add(header);
+  }
+
+  return mapping;
+}
+
+/**
+ * validateMapping
+ *
+ * Checks a client-supplied mapping against the sheet headers. Returns an error
+ * code, or null when the mapping is usable.
+ */
+function validateMapping(mapping, headers, customFields = []) {
+  if (!mapping || typeof mapping !== "object") return "INVALID_MAPPING";
+  if (!mapping.name) return "MISSING_NAME_COLUMN";
+  const known = [...IMPORT_FIELDS, ...customFields.map((f) => f.key)];
+  for (const [field, header] of Object.entries(mapping)) {
+    if (!known.includes(field)) return "INVALID_MAPPING";
+    if (header && !headers.includes(header)) return "INVALID_MAPPING";
+  }
+  return null;
+}
+
+/**
+ * mapRow
+ *
+ * Picks the mapped fields out of a sheet row. Built-in fields come back as
+ * trimmed strings (null when unmapped); custom fields are collected raw under
+ * `custom` for validateCustomValues to coerce.
+ */
+function mapRow(row, mapping, customFields = []) {
+  const value = (field) => (mapping[field] ? row[mapping[field]]?.toString().trim() : null);
+  const custom = {};
+  for (const field of customFields) {
+    const header = mapping[field.key];
+    if (header && row[header] !== undefined && row[header] !== "") custom[field.key] = row[header];
+  }
+  return {
+    name: value("name"),
+    phone: value("phone"),
+    email: value("email"),
+    home_church: value("home_church"),
+    group: value("group"),
+    custom,
+  };
+}
+
+// Loose check used on imported emails; the API routes use express-validator's isEmail
+function looksLikeEmail(value) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  readSheet,
+  proposeMapping,
+  validateMapping,
+  mapRow,
+  looksLikeEmail,
+};
@@ -4,8 +4,21 @@ const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const initDatabase = require('./migrate');
+const registerSocketHandlers = require('./socket');
+const authRouter = require('./routes/auth');
 const eventsRouter = require('./routes/events');
 const attendeesRouter = require('./routes/attendees');
+const auditRouter = require('./routes/audit');
+const checkinRouter = require('./routes/checkin');
+const fieldsRouter = require('./routes/fields');
+const sessionsRouter = require('./routes/sessions');
+const peopleRouter = require('./routes/people');
+const analyticsRouter = require('./routes/analytics');
+const trendsRouter = require('./routes/trends');
+const registerRouter = require('./routes/register');
+const kioskRouter = require('./routes/kiosk');
+const groupsRouter = require('./routes/groups');
+const syncRouter = require('./routes/sync');
 
 const app = express();
 const server = http.createServer(app);
@@ -22,38 +35,41 @@ const io = new Server(server, {
   },
 });
 
-io.on('connection', (socket) => {
-  console.log(`[WS] Client connected: ${socket.id}`);
-
-  // Each client joins a room per event they are watching
-  socket.on('join_event', (eventId) => {
-    socket.join(`event:${eventId}`);
-    console.log(`[WS] ${socket.id} joined event:${eventId}`);
-  });
-
-  socket.on('leave_event', (eventId) => {
-    socket.leave(`event:${eventId}`);
-  });
-
-  socket.on('disconnect', () => {
-    console.log(`[WS] Client disconnected: ${socket.id}`);
-  });
-});
+registerSocketHandlers(io);
 
 // Make io accessible in route handlers via req.app.get('io')
 app.set('io', io);
 
 // ─── Express middleware ──────────────────────────────────────────────────────
+// Behind a reverse proxy, TRUST_PROXY (hop count or address list) makes req.ip
+// the client's address so the public routes rate-limit per client
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
 app.use(cors({
   origin: FRONTEND_URL,
   credentials: true,
+  exposedHeaders: ['Idempotent-Replayed'],
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // ─── Routes ─────────────────────────────────────────────────────────────────
+app.use('/auth', authRouter);
 app.use('/events', eventsRouter);
+app.use('/people', peopleRouter);
+app.use('/analytics', trendsRouter);
 app.use('/events/:eventId/attendees', attendeesRouter);
+app.use('/events/:eventId/audit', auditRouter);
+app.use('/events/:eventId/checkin', checkinRouter);
+app.use('/events/:eventId/fields', fieldsRouter);
+app.use('/events/:eventId/sessions', sessionsRouter);
+app.use('/events/:eventId/analytics', analyticsRouter);
+app.use('/events/:eventId/register', registerRouter);
+app.use('/events/:eventId/kiosk', kioskRouter);
+app.use('/events/:eventId/groups', groupsRouter);
+app.use('/events/:eventId/sync', syncRouter);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -0,0 +1,188 @@
+const pool = require("./db");
+
+// Columns the caller picks a source attendee for; phone_e164 follows phone_number
+const MERGE_FIELDS = ["name", "phone_number", "email", "home_church", "ticket_code"];
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+// Duplicate groups and merge results go to coordinators: the ticket and
+// pickup codes stay off them. has_ticket_code still shows which rows carry a
+// ticket when picking the one to keep.
+function withoutCodes(row) {
+  const { pickup_code, ticket_code, ...rest } = row;
+  return { ...rest, has_ticket_code: Boolean(ticket_code) };
+}
+
+/**
+ * findDuplicateGroups
+ *
+ * Likely duplicates within an event, using the same normalization as import
+ * duplicate detection: the E.164 phone (digits when it cannot be parsed) and
+ * the name lowercased with everything but letters and digits removed. Each
+ * group is { matchedBy, key, attendees }; a name group with exactly the same
+ * attendees as a phone group is left out.
+ */
+async function findDuplicateGroups(eventId) {
+  const phoneGroups = await pool.query(
+    `
+    SELECT 'phone' AS "matchedBy", COALESCE(phone_e164, phone_digits) AS key,
+      json_agg(a ORDER BY a.id) AS attendees
+    FROM attendees a
+    WHERE event_id = $1 AND COALESCE(phone_e164, phone_digits, '') <> ''
+    GROUP BY COALESCE(phone_e164, phone_digits)
+    HAVING COUNT(*) > 1
+    ORDER BY MIN(a.id)
+  `,
+    [eventId],
+  );
+  const nameGroups = await pool.query(
+    `
+    SELECT 'name' AS "matchedBy", regexp_replace(lower(name), '[^a-z0-9]', '', 'g') AS key,
+      json_agg(a ORDER BY a.id) AS attendees
+    FROM attendees a
+    WHERE event_id = $1 AND regexp_replace(lower(name), '[^a-z0-9]', '', 'g') <> ''
+    GROUP BY regexp_replace(lower(name), '[^a-z0-9]', '', 'g')
+    HAVING COUNT(*) > 1
+    ORDER BY MIN(a.id)
+  `,
+    [eventId],
+  );
+
+  const idsOf = (group) => group.attendees.map((a) => a.id).join(",");
+  const seen = new Set(phoneGroups.rows.map(idsOf));
+  return [...phoneGroups.rows, ...nameGroups.rows.filter((group) => !seen.has(idsOf(group)))].map(
+    (group) => ({ ...group, attendees: group.attendees.map(withoutCodes) }),
+  );
+}
+
+/**
+ * mergeAttendees
+ *
+ * Folds `duplicateIds` into `survivorId` inside the caller's transaction.
+ * `fields` maps a MERGE_FIELDS column (or `custom_fields.<key>`) to the id
+ * of the attendee whose value to keep; unlisted columns keep the survivor's
+ * value, or the first duplicate's when the survivor's is blank. The merged
+ * row keeps the earliest check-in, event-wide and per session, and the
+ * seat if any of the rows had one (else the best waitlist position). Resolves
+ * { survivor, duplicates, merged } or { error } with an error code.
+ */
+async function mergeAttendees(client, eventId, { survivorId, duplicateIds, fields = {} }) {
+  const ids = [survivorId, ...duplicateIds];
+  const rowsRes = await client.query(
+    "SELECT * FROM attendees WHERE event_id = $1 AND id = ANY($2::int[]) ORDER BY id FOR UPDATE",
+    [eventId, ids],
+  );
+  const byId = new Map(rowsRes.rows.map((row) => [row.id, row]));
+  if (ids.some((id) => !byId.has(id))) {
+    return { error: "ATTENDEE_NOT_FOUND", missing: ids.filter((id) => !byId.has(id)) };
+  }
+
+  for (const [field, sourceId] of Object.entries(fields)) {
+    const known = MERGE_FIELDS.includes(field) || field.startsWith("custom_fields.");
+    if (!known || !byId.has(parseInt(sourceId))) return { error: "INVALID_MERGE_FIELDS", field };
+  }
+
+  const survivor = byId.get(survivorId);
+  const duplicates = duplicateIds.map((id) => byId.get(id));
+  const ordered = [survivor, ...duplicates];
+
+  // Value of `read(row)` from the chosen attendee, else the first non-blank one
+  const pick = (field, read) => {
+    if (fields[field] !== undefined) return read(byId.get(parseInt(fields[field])));
+    const source = ordered.find((row) => !isBlank(read(row)));
+    return source ? read(source) : null;
+  };
+
+  const merged = {};
+  for (const field of MERGE_FIELDS) merged[field] = pick(field, (row) => row[field]);
+  merged.phone_e164 =
+    fields.phone_number !== undefined
+      ? byId.get(parseInt(fields.phone_number)).phone_e164
+      : ordered.find((row) => row.phone_number === merged.phone_number)?.phone_e164 || null;
+
+  const customKeys = new Set(ordered.flatMap((row) => Object.keys(row.custom_fields || {})));
+  merged.custom_fields = {};
+  for (const key of customKeys) {
+    const value = pick(`custom_fields.${key}`, (row) => row.custom_fields?.[key]);
+    if (!isBlank(value)) merged.custom_fields[key] = value;
+  }
+
+  // Stay linked to the directory: the survivor's person, else a duplicate's.
+  // The group is kept the same way.
+  merged.person_id = ordered.find((row) => row.person_id)?.person_id || null;
+  merged.group_id = ordered.find((row) => row.group_id)?.group_id || null;
+
+  merged.waitlist_position = ordered.some((row) => row.waitlist_position === null)
+    ? null
+    : Math.min(...ordered.map((row) => row.waitlist_position));
+
+  // A child stays a child; a live pickup code comes along with its check-out state
+  merged.is_child = ordered.some((row) => row.is_child);
+  const pickup = ordered.find((row) => row.pickup_code);
+  merged.pickup_code = pickup?.pickup_code || null;
+  merged.checked_out_at = pickup?.checked_out_at || null;
+
+  const checkins = ordered.filter((row) => row.checked_in && row.checked_in_at);
+  merged.checked_in = ordered.some((row) => row.checked_in);
+  merged.checked_in_at = checkins.length
+    ? checkins.map((row) => row.checked_in_at).sort((a, b) => a - b)[0]
+    : null;
+
+  // Session check-ins move to the survivor, keeping the earliest per session
+  await client.query(
+    `INSERT INTO session_checkins (session_id, attendee_id, checked_in_at)
+     SELECT session_id, $1, MIN(checked_in_at) FROM session_checkins
+     WHERE attendee_id = ANY($2::int[]) GROUP BY session_id
+     ON CONFLICT (session_id, attendee_id)
+     DO UPDATE SET checked_in_at = LEAST(session_checkins.checked_in_at, EXCLUDED.checked_in_at)`,
+    [survivorId, ids],
+  );
+
+  // Guardian links move to the survivor, on either side of the link
+  await client.query(
+    `INSERT INTO attendee_guardians (child_id, guardian_id)
+     SELECT DISTINCT child_id, guardian_id FROM (
+       SELECT CASE WHEN child_id = ANY($2::int[]) THEN $1 ELSE child_id END AS child_id,
+              CASE WHEN guardian_id = ANY($2::int[]) THEN $1 ELSE guardian_id END AS guardian_id
+       FROM attendee_guardians
+       WHERE child_id = ANY($2::int[]) OR guardian_id = ANY($2::int[])
+     ) moved
+     WHERE child_id <> guardian_id
+     ON CONFLICT DO NOTHING`,
+    [survivorId, duplicateIds],
+  );
+
+  // Duplicates go first so the survivor can take over a ticket code
+  await client.query("DELETE FROM attendees WHERE id = ANY($1::int[])", [duplicateIds]);
+
+  const result = await client.query(
+    `UPDATE attendees
+     SET name = $1, phone_number = $2, phone_e164 = $3, email = $4, home_church = $5,
+         ticket_code = $6, custom_fields = $7, checked_in = $8, checked_in_at = $9, person_id = $10,
+         waitlist_position = $11, group_id = $12, is_child = $13, pickup_code = $14,
+         checked_out_at = $15, updated_at = NOW()
+     WHERE id = $16 RETURNING *`,
+    [
+      merged.name,
+      merged.phone_number,
+      merged.phone_e164,
+      merged.email,
+      merged.home_church,
+      merged.ticket_code,
+      JSON.stringify(merged.custom_fields),
+      merged.checked_in,
+      merged.checked_in_at,
+      merged.person_id,
+      merged.waitlist_position,
+      merged.group_id,
+      merged.is_child,
+      merged.pickup_code,
+      merged.checked_out_at,
+      survivorId,
+    ],
+  );
+
+  return { survivor, duplicates, merged: result.rows[0] };
+}
+
+module.exports = { MERGE_FIELDS, withoutCodes, findDuplicateGroups, mergeAttendees };
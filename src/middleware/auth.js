@@ -4,12 +4,110 @@ const pool = require("../db");
 const JWT_SECRET = process.env.JWT_SECRET || "ekklesia-secret-change-in-production";
 const TOKEN_TTL = "8h";
 
+/**
+ * Two kinds of token are issued:
+ *  - event tokens { eventId, role } from POST /events/:id/verify-password
+ *    and POST /events/:id/volunteer-link (door volunteers)
+ *  - user tokens  { userId, email } from POST /auth/login (organizers); their
+ *    role is looked up per event since one account can hold several events
+ */
+
+const ROLES = ["admin", "coordinator", "checkin"];
+
+// Unattended self-check-in tablets. Only ever carried by event tokens from
+// POST /events/:id/kiosk-link, never assigned to an organizer, so it is not in ROLES.
+const KIOSK_ROLE = "kiosk";
+
+// Which roles may perform each action. Every route in events.js and
+// attendees.js names one of these through requirePermission().
+const PERMISSIONS = {
+  "attendees:read": ["admin", "coordinator", "checkin"],
+  "attendees:checkin": ["admin", "coordinator", "checkin"],
+  "kiosk:checkin": ["admin", "coordinator", "checkin", KIOSK_ROLE],
+  "attendees:write": ["admin", "coordinator"],
+  "attendees:export": ["admin", "coordinator"],
+  "attendees:clear": ["admin"],
+  "tickets:issue": ["admin", "coordinator"],
+  "labels:reprint": ["admin", "coordinator"],
+  "audit:read": ["admin", "coordinator"],
+  "analytics:read": ["admin", "coordinator"],
+  "event:run": ["admin", "coordinator"],
+  "event:manage": ["admin"],
+  // The owner's directory spans all their events, not just this one
+  "directory:read": ["admin"],
+};
+
+// Event tokens issued before roles existed carry none; give them the least access
+const LEGACY_TOKEN_ROLE = "checkin";
+
+function can(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+function bearerToken(req) {
+  const authHeader = req.headers["authorization"];
+  return authHeader && authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+}
+
+function decodeToken(token) {
+  if (!token) {
+    return { code: "AUTH_REQUIRED", message: "Authentication required." };
+  }
+
+  try {
+    return { payload: jwt.verify(token, JWT_SECRET) };
+  } catch (err) {
+    const code = err.name === "TokenExpiredError" ? "AUTH_EXPIRED" : "AUTH_INVALID";
+    return { code, message: "Invalid or expired session. Please re-authenticate." };
+  }
+}
+
+// The user's role on the event: admin for the owner, the stored role for an
+// invited member, or null when the user has no access
+async function userEventRole(userId, eventId) {
+  const result = await pool.query(
+    `SELECT CASE WHEN e.owner_id = $2 THEN 'admin' ELSE m.role END AS role
+     FROM events e
+     LEFT JOIN event_members m ON m.event_id = e.id AND m.user_id = $2
+     WHERE e.id = $1`,
+    [eventId, userId],
+  );
+  return result.rows[0]?.role || null;
+}
+
+/**
+ * verifyEventToken
+ *
+ * Shared by the HTTP middleware and the Socket.io handlers so both reject
+ * tokens the same way. Resolves { payload, role } on success or
+ * { code, message } describing why the token cannot be used for this event.
+ */
+async function verifyEventToken(token, eventId) {
+  const { payload, code, message } = decodeToken(token);
+  if (!payload) return { code, message };
+
+  let role = null;
+  if (payload.userId) {
+    role = await userEventRole(payload.userId, eventId);
+  } else if (String(payload.eventId) === String(eventId)) {
+    role =
+      ROLES.includes(payload.role) || payload.role === KIOSK_ROLE ? payload.role : LEGACY_TOKEN_ROLE;
+  }
+
+  if (!role) {
+    return { code: "AUTH_MISMATCH", message: "Token does not match this event." };
+  }
+
+  return { payload, role };
+}
+
 /**
  * requireEventAccess
  *
  * All routes (read and write) require a valid JWT to protect attendee privacy.
  * Unprotected events still get a token automatically on page load.
- * Token contains: { eventId }
+ * Accepts an event token for this event, or a user token belonging to the
+ * event's owner or an invited member. Sets req.auth = { ...payload, role }.
  */
 async function requireEventAccess(req, res, next) {
   const eventId = req.params.eventId || req.params.id;
@@ -23,41 +121,77 @@ async function requireEventAccess(req, res, next) {
     if (result.rows.length === 0)
       return res.status(404).json({ success: false, message: "Event not found" });
 
-    const authHeader = req.headers["authorization"];
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return res.status(401).json({
-        success: false,
-        message: "Authentication required.",
-        code: "AUTH_REQUIRED",
-      });
+    const { payload, role, code, message } = await verifyEventToken(bearerToken(req), eventId);
+    if (!payload) {
+      return res
+        .status(code === "AUTH_MISMATCH" ? 403 : 401)
+        .json({ success: false, message, code });
     }
 
-    const token = authHeader.slice(7);
-    let payload;
-    try {
-      payload = jwt.verify(token, JWT_SECRET);
-    } catch (err) {
-      const code = err.name === "TokenExpiredError" ? "AUTH_EXPIRED" : "AUTH_INVALID";
-      return res.status(401).json({
-        success: false,
-        message: "Invalid or expired session. Please re-authenticate.",
-        code,
-      });
-    }
+    req.auth = { ...payload, role };
+    next();
+  } catch (err) {
+    console.error("Auth middleware error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
 
-    if (String(payload.eventId) !== String(eventId)) {
+/**
+ * requirePermission
+ *
+ * Runs after requireEventAccess and rejects roles not listed for the
+ * permission in PERMISSIONS.
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!can(req.auth?.role, permission)) {
       return res.status(403).json({
         success: false,
-        message: "Token does not match this event.",
-        code: "AUTH_MISMATCH",
+        message: "Your role does not allow this action.",
+        code: "FORBIDDEN_ROLE",
+        role: req.auth?.role || null,
+        permission,
       });
     }
-
     next();
-  } catch (err) {
-    console.error("Auth middleware error:", err);
-    res.status(500).json({ success: false, message: "Server error" });
+  };
+}
+
+/**
+ * requireUser
+ *
+ * Organizer-only routes (creating and listing events, managing members).
+ * Event tokens are rejected here; sets req.user = { id, email }.
+ */
+function requireUser(req, res, next) {
+  const { payload, code, message } = decodeToken(bearerToken(req));
+  if (!payload) {
+    return res.status(401).json({ success: false, message, code });
   }
+
+  if (!payload.userId) {
+    return res.status(401).json({
+      success: false,
+      message: "An organizer account is required.",
+      code: "USER_REQUIRED",
+    });
+  }
+
+  req.auth = payload;
+  req.user = { id: payload.userId, email: payload.email };
+  next();
 }
 
-module.exports = { requireEventAccess, JWT_SECRET, TOKEN_TTL };
+module.exports = {
+  requireEventAccess,
+  requirePermission,
+  requireUser,
+  verifyEventToken,
+  userEventRole,
+  can,
+  ROLES,
+  PERMISSIONS,
+  KIOSK_ROLE,
+  JWT_SECRET,
+  TOKEN_TTL,
+};
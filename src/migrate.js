@@ -1,80 +1,199 @@
+const fs = require("fs");
+const path = require("path");
 const pool = require("./db");
 
-const initDatabase = async () => {
-  const client = await pool.connect();
-  try {
-    await client.query("BEGIN");
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
 
-    // Create events table — only name is required, all else optional
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS events (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        description TEXT,
-        date DATE,
-        time TIME,
-        location VARCHAR(255),
-        password_hash VARCHAR(255),
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    // Add password_hash column for existing installs upgrading
-    await client.query(
-      `ALTER TABLE events ADD COLUMN IF NOT EXISTS password_hash VARCHAR(255);`,
-    );
+// Arbitrary constant key for pg_advisory_lock so two processes (e.g. two
+// containers booting with AUTO_MIGRATE) never run migrations at once
+const MIGRATION_LOCK_KEY = 720413;
 
-    // Add is_finished column for existing installs
-    await client.query(
-      `ALTER TABLE events ADD COLUMN IF NOT EXISTS is_finished BOOLEAN DEFAULT FALSE;`,
-    );
+/**
+ * Migrations live in src/migrations as NNN_description.js and export
+ * { up(client), down(client) }. Each runs in its own transaction and is
+ * recorded in schema_migrations by its version (the NNN prefix).
+ */
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d+_[\w-]+\.js$/.test(file))
+    .sort()
+    .map((file) => {
+      const [version, ...rest] = path.basename(file, ".js").split("_");
+      return { version, name: rest.join("_"), file, ...require(path.join(MIGRATIONS_DIR, file)) };
+    });
+}
 
-    // Make date nullable for existing installs (safe no-op if already nullable)
-    try {
-      await client.query(`ALTER TABLE events ALTER COLUMN date DROP NOT NULL;`);
-    } catch (_) {}
-
-    // Create attendees table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS attendees (
-        id SERIAL PRIMARY KEY,
-        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
-        name VARCHAR(255) NOT NULL,
-        phone_number VARCHAR(50),
-        email VARCHAR(255),
-        checked_in BOOLEAN DEFAULT FALSE,
-        checked_in_at TIMESTAMP,
-        source VARCHAR(10) DEFAULT 'manual',
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    // Add source column for existing installs
-    await client.query(
-      `ALTER TABLE attendees ADD COLUMN IF NOT EXISTS source VARCHAR(10) DEFAULT 'manual';`,
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT NOW()
     );
+  `);
+}
 
-    await client.query(
-      `CREATE INDEX IF NOT EXISTS idx_attendees_event_id ON attendees(event_id);`,
-    );
-    await client.query(
-      `CREATE INDEX IF NOT EXISTS idx_attendees_name ON attendees(LOWER(name));`,
-    );
-    await client.query(
-      `CREATE INDEX IF NOT EXISTS idx_attendees_phone ON attendees(phone_number);`,
-    );
+async function appliedVersions(client) {
+  const result = await client.query(
+    "SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC",
+  );
+  return result.rows;
+}
 
+// Runs fn with a dedicated client holding the migration lock
+async function withLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+async function runStep(client, migration, direction) {
+  try {
+    await client.query("BEGIN");
+    await migration[direction](client);
+    if (direction === "up") {
+      await client.query("INSERT INTO schema_migrations (version, name) VALUES ($1, $2)", [
+        migration.version,
+        migration.name,
+      ]);
+    } else {
+      await client.query("DELETE FROM schema_migrations WHERE version = $1", [migration.version]);
+    }
     await client.query("COMMIT");
-    console.log("Database initialized successfully");
+    console.log(`[migrate] ${direction} ${migration.file}`);
   } catch (err) {
     await client.query("ROLLBACK");
-    console.error("Error initializing database:", err);
+    console.error(`[migrate] ${direction} ${migration.file} failed:`, err.message);
     throw err;
+  }
+}
+
+/**
+ * status
+ *
+ * Resolves { applied, pending } where applied lists { version, name, applied_at }
+ * and pending lists migrations not yet run. Versions recorded in the database
+ * but missing from disk come back as `unknown`.
+ */
+async function status() {
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const applied = await appliedVersions(client);
+    const done = new Set(applied.map((m) => m.version));
+    const migrations = loadMigrations();
+    const onDisk = new Set(migrations.map((m) => m.version));
+    return {
+      applied,
+      pending: migrations.filter((m) => !done.has(m.version)).map(({ version, name }) => ({ version, name })),
+      unknown: applied.filter((m) => !onDisk.has(m.version)),
+    };
   } finally {
     client.release();
   }
+}
+
+// Applies every pending migration in order; resolves the versions applied
+async function migrate() {
+  return withLock(async (client) => {
+    const done = new Set((await appliedVersions(client)).map((m) => m.version));
+    const pending = loadMigrations().filter((m) => !done.has(m.version));
+    for (const migration of pending) await runStep(client, migration, "up");
+    return pending.map((m) => m.version);
+  });
+}
+
+// Reverts the last `steps` applied migrations; resolves the versions reverted
+async function rollback(steps = 1) {
+  return withLock(async (client) => {
+    const byVersion = new Map(loadMigrations().map((m) => [m.version, m]));
+    const applied = (await appliedVersions(client)).reverse().slice(0, steps);
+    for (const { version } of applied) {
+      const migration = byVersion.get(version);
+      if (!migration) throw new Error(`Migration ${version} is applied but missing from ${MIGRATIONS_DIR}`);
+      await runStep(client, migration, "down");
+    }
+    return applied.map((m) => m.version);
+  });
+}
+
+/**
+ * initDatabase
+ *
+ * Called on server start. Applies pending migrations when AUTO_MIGRATE=true;
+ * otherwise refuses to start so a deploy never runs against a schema older
+ * than its code.
+ */
+const initDatabase = async () => {
+  const { pending, unknown } = await status();
+
+  if (unknown.length > 0) {
+    console.warn(
+      `[migrate] Database has migrations this build does not know: ${unknown.map((m) => m.version).join(", ")}`,
+    );
+  }
+
+  if (pending.length === 0) {
+    console.log("Database schema is up to date");
+    return;
+  }
+
+  if (process.env.AUTO_MIGRATE !== "true") {
+    throw new Error(
+      `${pending.length} pending migration(s): ${pending.map((m) => `${m.version}_${m.name}`).join(", ")}. ` +
+        "Run `npm run migrate` or set AUTO_MIGRATE=true.",
+    );
+  }
+
+  await migrate();
+  console.log("Database migrated successfully");
 };
 
+// ─── CLI: node src/migrate.js [up | down [steps] | status] ─────────────────────
+async function cli(command = "up", arg) {
+  switch (command) {
+    case "up": {
+      const applied = await migrate();
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : "Nothing to migrate");
+      break;
+    }
+    case "down": {
+      const steps = arg === undefined ? 1 : parseInt(arg);
+      if (!Number.isInteger(steps) || steps < 1) throw new Error("steps must be a positive integer");
+      const reverted = await rollback(steps);
+      console.log(reverted.length ? `Reverted ${reverted.length} migration(s)` : "Nothing to roll back");
+      break;
+    }
+    case "status": {
+      const { applied, pending, unknown } = await status();
+      for (const m of applied) console.log(`  [x] ${m.version}_${m.name}  (${m.applied_at.toISOString()})`);
+      for (const m of pending) console.log(`  [ ] ${m.version}_${m.name}`);
+      for (const m of unknown) console.log(`  [?] ${m.version}_${m.name}  (not on disk)`);
+      console.log(`${applied.length} applied, ${pending.length} pending`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Use up, down [steps] or status.`);
+  }
+}
+
+if (require.main === module) {
+  cli(process.argv[2], process.argv[3])
+    .catch((err) => {
+      console.error(err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
 module.exports = initDatabase;
+module.exports.migrate = migrate;
+module.exports.rollback = rollback;
+module.exports.status = status;
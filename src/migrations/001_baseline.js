@@ -0,0 +1,63 @@
+// Events and attendees as they stood before migrations were versioned. Every
+// statement is idempotent so databases created by the old initDatabase apply
+// this cleanly and simply get it recorded.
+module.exports = {
+  async up(client) {
+    // Create events table — only name is required, all else optional
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS events (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        date DATE,
+        time TIME,
+        location VARCHAR(255),
+        password_hash VARCHAR(255),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    // Columns added to events over time, for installs created before them
+    await client.query(
+      `ALTER TABLE events ADD COLUMN IF NOT EXISTS password_hash VARCHAR(255);`,
+    );
+    await client.query(
+      `ALTER TABLE events ADD COLUMN IF NOT EXISTS is_finished BOOLEAN DEFAULT FALSE;`,
+    );
+    await client.query(`ALTER TABLE events ALTER COLUMN date DROP NOT NULL;`);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS attendees (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        phone_number VARCHAR(50),
+        email VARCHAR(255),
+        checked_in BOOLEAN DEFAULT FALSE,
+        checked_in_at TIMESTAMP,
+        source VARCHAR(10) DEFAULT 'manual',
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await client.query(
+      `ALTER TABLE attendees ADD COLUMN IF NOT EXISTS source VARCHAR(10) DEFAULT 'manual';`,
+    );
+
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_attendees_event_id ON attendees(event_id);`,
+    );
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_attendees_name ON attendees(LOWER(name));`,
+    );
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_attendees_phone ON attendees(phone_number);`,
+    );
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS attendees;`);
+    await client.query(`DROP TABLE IF EXISTS events;`);
+  },
+};
@@ -0,0 +1,42 @@
+// Organizer accounts, event ownership and invited members
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        email VARCHAR(255) NOT NULL UNIQUE,
+        name VARCHAR(255),
+        password_hash VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    // Owning organizer; NULL for events created before accounts existed
+    await client.query(
+      `ALTER TABLE events ADD COLUMN IF NOT EXISTS owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL;`,
+    );
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS event_members (
+        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (event_id, user_id)
+      );
+    `);
+
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_events_owner_id ON events(owner_id);`,
+    );
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_event_members_user_id ON event_members(user_id);`,
+    );
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS event_members;`);
+    await client.query(`ALTER TABLE events DROP COLUMN IF EXISTS owner_id;`);
+    await client.query(`DROP TABLE IF EXISTS users;`);
+  },
+};
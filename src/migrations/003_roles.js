@@ -0,0 +1,16 @@
+// Per-member roles and the check-in-only volunteer password
+module.exports = {
+  async up(client) {
+    await client.query(
+      `ALTER TABLE event_members ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'coordinator';`,
+    );
+    await client.query(
+      `ALTER TABLE events ADD COLUMN IF NOT EXISTS checkin_password_hash VARCHAR(255);`,
+    );
+  },
+
+  async down(client) {
+    await client.query(`ALTER TABLE events DROP COLUMN IF EXISTS checkin_password_hash;`);
+    await client.query(`ALTER TABLE event_members DROP COLUMN IF EXISTS role;`);
+  },
+};
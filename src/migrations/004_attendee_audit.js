@@ -0,0 +1,31 @@
+// Audit trail of every attendee mutation. attendee_id is deliberately not a
+// foreign key so the history outlives deleted attendees.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS attendee_events (
+        id BIGSERIAL PRIMARY KEY,
+        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        attendee_id INTEGER,
+        action VARCHAR(30) NOT NULL,
+        actor_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        actor_role VARCHAR(20),
+        actor_label VARCHAR(100),
+        before JSONB,
+        after JSONB,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_attendee_events_event_time ON attendee_events(event_id, created_at);`,
+    );
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_attendee_events_attendee ON attendee_events(event_id, attendee_id);`,
+    );
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS attendee_events;`);
+  },
+};
@@ -0,0 +1,15 @@
+// Signed QR ticket code, issued on first request
+module.exports = {
+  async up(client) {
+    await client.query(
+      `ALTER TABLE attendees ADD COLUMN IF NOT EXISTS ticket_code VARCHAR(64);`,
+    );
+    await client.query(
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_attendees_ticket_code ON attendees(ticket_code);`,
+    );
+  },
+
+  async down(client) {
+    await client.query(`ALTER TABLE attendees DROP COLUMN IF EXISTS ticket_code;`);
+  },
+};
@@ -0,0 +1,30 @@
+// Per-event custom attendee fields (t-shirt size, dietary needs, …) and their
+// values, keyed by event_fields.key
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS event_fields (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        key VARCHAR(50) NOT NULL,
+        label VARCHAR(100) NOT NULL,
+        type VARCHAR(20) NOT NULL DEFAULT 'text',
+        required BOOLEAN NOT NULL DEFAULT FALSE,
+        options JSONB,
+        position INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (event_id, key)
+      );
+    `);
+
+    await client.query(
+      `ALTER TABLE attendees ADD COLUMN IF NOT EXISTS custom_fields JSONB NOT NULL DEFAULT '{}'::jsonb;`,
+    );
+  },
+
+  async down(client) {
+    await client.query(`ALTER TABLE attendees DROP COLUMN IF EXISTS custom_fields;`);
+    await client.query(`DROP TABLE IF EXISTS event_fields;`);
+  },
+};
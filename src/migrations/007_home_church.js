@@ -0,0 +1,23 @@
+// Home church used to be stored in email (the importer mapped "Gereja Asal"
+// there). Give it its own column and move over every value without an "@".
+module.exports = {
+  async up(client) {
+    await client.query(
+      `ALTER TABLE attendees ADD COLUMN IF NOT EXISTS home_church VARCHAR(255);`,
+    );
+    await client.query(`
+      UPDATE attendees
+      SET home_church = email, email = NULL
+      WHERE email IS NOT NULL AND email NOT LIKE '%@%' AND home_church IS NULL;
+    `);
+  },
+
+  // Where an attendee has both, the email wins; the home church is lost
+  async down(client) {
+    await client.query(`
+      UPDATE attendees SET email = home_church
+      WHERE email IS NULL AND home_church IS NOT NULL;
+    `);
+    await client.query(`ALTER TABLE attendees DROP COLUMN IF EXISTS home_church;`);
+  },
+};
@@ -0,0 +1,39 @@
+// Sessions split one event into services or days, each with its own time
+// window and its own check-ins. attendees.checked_in stays as "attended at
+// least one session" so event-level stats keep working.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS event_sessions (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        starts_at TIMESTAMP,
+        ends_at TIMESTAMP,
+        position INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_event_sessions_event_id ON event_sessions(event_id);`,
+    );
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS session_checkins (
+        session_id INTEGER NOT NULL REFERENCES event_sessions(id) ON DELETE CASCADE,
+        attendee_id INTEGER NOT NULL REFERENCES attendees(id) ON DELETE CASCADE,
+        checked_in_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (session_id, attendee_id)
+      );
+    `);
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_session_checkins_attendee ON session_checkins(attendee_id);`,
+    );
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS session_checkins;`);
+    await client.query(`DROP TABLE IF EXISTS event_sessions;`);
+  },
+};
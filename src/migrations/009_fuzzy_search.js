@@ -0,0 +1,43 @@
+// Fuzzy, accent-insensitive attendee search. unaccent() is only STABLE, so it
+// is wrapped in an IMMUTABLE function to be usable in generated columns.
+// name_search must stay in step with normalizeSearchText in src/normalize.js.
+module.exports = {
+  async up(client) {
+    await client.query(`CREATE EXTENSION IF NOT EXISTS pg_trgm;`);
+    await client.query(`CREATE EXTENSION IF NOT EXISTS unaccent;`);
+    await client.query(`
+      CREATE OR REPLACE FUNCTION f_unaccent(text) RETURNS text AS
+      $$ SELECT public.unaccent('public.unaccent', $1) $$
+      LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT;
+    `);
+
+    await client.query(`
+      ALTER TABLE attendees ADD COLUMN IF NOT EXISTS name_search TEXT
+      GENERATED ALWAYS AS (
+        btrim(regexp_replace(
+          regexp_replace(lower(f_unaccent(name)), '[^a-z0-9\\s]+', '', 'g'),
+          '\\s+', ' ', 'g'))
+      ) STORED;
+    `);
+    await client.query(`
+      ALTER TABLE attendees ADD COLUMN IF NOT EXISTS phone_digits TEXT
+      GENERATED ALWAYS AS (regexp_replace(COALESCE(phone_number, ''), '\\D', '', 'g')) STORED;
+    `);
+
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_attendees_name_trgm ON attendees USING GIN (name_search gin_trgm_ops);`,
+    );
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_attendees_phone_trgm ON attendees USING GIN (phone_digits gin_trgm_ops);`,
+    );
+  },
+
+  // The extensions stay installed; other schemas may rely on them
+  async down(client) {
+    await client.query(`DROP INDEX IF EXISTS idx_attendees_phone_trgm;`);
+    await client.query(`DROP INDEX IF EXISTS idx_attendees_name_trgm;`);
+    await client.query(`ALTER TABLE attendees DROP COLUMN IF EXISTS phone_digits;`);
+    await client.query(`ALTER TABLE attendees DROP COLUMN IF EXISTS name_search;`);
+    await client.query(`DROP FUNCTION IF EXISTS f_unaccent(text);`);
+  },
+};
@@ -0,0 +1,40 @@
+const { toE164 } = require("../normalize");
+
+const BACKFILL_BATCH = 1000;
+
+// E.164 form of phone_number ("+6281234567890") for duplicate detection.
+// phone_number keeps what was typed or imported; phone_e164 stays NULL for
+// numbers that cannot be parsed. Existing rows are parsed with the
+// DEFAULT_PHONE_COUNTRY in effect when the migration runs.
+module.exports = {
+  async up(client) {
+    await client.query(
+      `ALTER TABLE attendees ADD COLUMN IF NOT EXISTS phone_e164 VARCHAR(20);`,
+    );
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_attendees_phone_e164 ON attendees(event_id, phone_e164);`,
+    );
+
+    const rows = await client.query(
+      "SELECT id, phone_number FROM attendees WHERE phone_number IS NOT NULL AND phone_e164 IS NULL",
+    );
+    const parsed = rows.rows
+      .map((row) => ({ id: row.id, e164: toE164(row.phone_number) }))
+      .filter((row) => row.e164);
+
+    for (let i = 0; i < parsed.length; i += BACKFILL_BATCH) {
+      const batch = parsed.slice(i, i + BACKFILL_BATCH);
+      await client.query(
+        `UPDATE attendees a SET phone_e164 = v.e164
+         FROM unnest($1::int[], $2::text[]) AS v(id, e164)
+         WHERE a.id = v.id`,
+        [batch.map((row) => row.id), batch.map((row) => row.e164)],
+      );
+    }
+  },
+
+  async down(client) {
+    await client.query(`DROP INDEX IF EXISTS idx_attendees_phone_e164;`);
+    await client.query(`ALTER TABLE attendees DROP COLUMN IF EXISTS phone_e164;`);
+  },
+};
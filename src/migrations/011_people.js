@@ -0,0 +1,61 @@
+// Cross-event directory of people, one per organizer (the event owner).
+// Attendees link to a person so regulars are recognised from event to event.
+// name_key matches normalizeName in src/normalize.js.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS people (
+        id SERIAL PRIMARY KEY,
+        owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        name_key VARCHAR(255) NOT NULL,
+        phone_number VARCHAR(50),
+        phone_e164 VARCHAR(20),
+        email VARCHAR(255),
+        home_church VARCHAR(255),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_people_owner_phone ON people(owner_id, phone_e164);`,
+    );
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_people_owner_name ON people(owner_id, name_key);`,
+    );
+
+    await client.query(
+      `ALTER TABLE attendees ADD COLUMN IF NOT EXISTS person_id INTEGER REFERENCES people(id) ON DELETE SET NULL;`,
+    );
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_attendees_person_id ON attendees(person_id);`,
+    );
+
+    // Backfill: one person per owner, name and phone (household members may
+    // share a phone), taken from the most recent attendee row
+    await client.query(`
+      INSERT INTO people (owner_id, name, name_key, phone_number, phone_e164, email, home_church)
+      SELECT DISTINCT ON (e.owner_id, regexp_replace(lower(a.name), '[^a-z0-9]', '', 'g'), a.phone_e164)
+        e.owner_id, a.name, regexp_replace(lower(a.name), '[^a-z0-9]', '', 'g'),
+        a.phone_number, a.phone_e164, a.email, a.home_church
+      FROM attendees a JOIN events e ON e.id = a.event_id
+      WHERE e.owner_id IS NOT NULL AND a.person_id IS NULL
+        AND NOT EXISTS (SELECT 1 FROM people p WHERE p.owner_id = e.owner_id)
+      ORDER BY e.owner_id, regexp_replace(lower(a.name), '[^a-z0-9]', '', 'g'), a.phone_e164,
+        a.created_at DESC
+    `);
+    await client.query(`
+      UPDATE attendees a SET person_id = p.id
+      FROM events e, people p
+      WHERE e.id = a.event_id AND p.owner_id = e.owner_id AND a.person_id IS NULL
+        AND p.name_key = regexp_replace(lower(a.name), '[^a-z0-9]', '', 'g')
+        AND p.phone_e164 IS NOT DISTINCT FROM a.phone_e164
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP INDEX IF EXISTS idx_attendees_person_id;`);
+    await client.query(`ALTER TABLE attendees DROP COLUMN IF EXISTS person_id;`);
+    await client.query(`DROP TABLE IF EXISTS people;`);
+  },
+};
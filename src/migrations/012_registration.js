@@ -0,0 +1,21 @@
+// Public self-registration, switched on per event. Attendees who register
+// through the public form get source = 'self'.
+module.exports = {
+  async up(client) {
+    await client.query(
+      `ALTER TABLE events ADD COLUMN IF NOT EXISTS registration_open BOOLEAN NOT NULL DEFAULT FALSE;`,
+    );
+    await client.query(
+      `ALTER TABLE events ADD COLUMN IF NOT EXISTS registration_capacity INTEGER;`,
+    );
+    await client.query(
+      `ALTER TABLE events ADD COLUMN IF NOT EXISTS registration_deadline TIMESTAMP;`,
+    );
+  },
+
+  async down(client) {
+    await client.query(`ALTER TABLE events DROP COLUMN IF EXISTS registration_deadline;`);
+    await client.query(`ALTER TABLE events DROP COLUMN IF EXISTS registration_capacity;`);
+    await client.query(`ALTER TABLE events DROP COLUMN IF EXISTS registration_open;`);
+  },
+};
@@ -0,0 +1,20 @@
+// Optional event capacity. Attendees added once it is reached wait in line:
+// waitlist_position 1, 2, … in order, NULL for everyone with a seat.
+module.exports = {
+  async up(client) {
+    await client.query(`ALTER TABLE events ADD COLUMN IF NOT EXISTS capacity INTEGER;`);
+    await client.query(
+      `ALTER TABLE attendees ADD COLUMN IF NOT EXISTS waitlist_position INTEGER;`,
+    );
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_attendees_waitlist ON attendees(event_id, waitlist_position)
+       WHERE waitlist_position IS NOT NULL;`,
+    );
+  },
+
+  async down(client) {
+    await client.query(`DROP INDEX IF EXISTS idx_attendees_waitlist;`);
+    await client.query(`ALTER TABLE attendees DROP COLUMN IF EXISTS waitlist_position;`);
+    await client.query(`ALTER TABLE events DROP COLUMN IF EXISTS capacity;`);
+  },
+};
@@ -0,0 +1,33 @@
+// Households and other groups that arrive together, per event. Group names
+// are unique per event (case-insensitively) so an import column such as
+// "Keluarga" can find or create the group by name.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS attendee_groups (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await client.query(
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_attendee_groups_event_name
+       ON attendee_groups(event_id, LOWER(name));`,
+    );
+
+    await client.query(
+      `ALTER TABLE attendees ADD COLUMN IF NOT EXISTS group_id INTEGER REFERENCES attendee_groups(id) ON DELETE SET NULL;`,
+    );
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_attendees_group_id ON attendees(group_id);`,
+    );
+  },
+
+  async down(client) {
+    await client.query(`DROP INDEX IF EXISTS idx_attendees_group_id;`);
+    await client.query(`ALTER TABLE attendees DROP COLUMN IF EXISTS group_id;`);
+    await client.query(`DROP TABLE IF EXISTS attendee_groups;`);
+  },
+};
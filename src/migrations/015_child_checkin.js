@@ -0,0 +1,32 @@
+// Children's check-in: children get a pickup code on check-in and are checked
+// out against it; attendee_guardians links each child to the attendees who
+// may collect them.
+module.exports = {
+  async up(client) {
+    await client.query(
+      `ALTER TABLE attendees ADD COLUMN IF NOT EXISTS is_child BOOLEAN NOT NULL DEFAULT FALSE;`,
+    );
+    await client.query(`ALTER TABLE attendees ADD COLUMN IF NOT EXISTS pickup_code VARCHAR(10);`);
+    await client.query(`ALTER TABLE attendees ADD COLUMN IF NOT EXISTS checked_out_at TIMESTAMP;`);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS attendee_guardians (
+        child_id INTEGER NOT NULL REFERENCES attendees(id) ON DELETE CASCADE,
+        guardian_id INTEGER NOT NULL REFERENCES attendees(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (child_id, guardian_id),
+        CHECK (child_id <> guardian_id)
+      );
+    `);
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_attendee_guardians_guardian ON attendee_guardians(guardian_id);`,
+    );
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS attendee_guardians;`);
+    await client.query(`ALTER TABLE attendees DROP COLUMN IF EXISTS checked_out_at;`);
+    await client.query(`ALTER TABLE attendees DROP COLUMN IF EXISTS pickup_code;`);
+    await client.query(`ALTER TABLE attendees DROP COLUMN IF EXISTS is_child;`);
+  },
+};
@@ -0,0 +1,91 @@
+// Offline sync for door devices. attendees.change_seq numbers every change
+// and attendee_tombstones records deletions, so a device can pull what changed
+// since its cursor. The numbers are taken at commit, one transaction at a
+// time, so a transaction that commits late can never slip in below a cursor
+// a device already holds. sync_operations remembers each pushed operation by
+// its idempotency key so a retried push does not apply it twice.
+module.exports = {
+  async up(client) {
+    await client.query(`CREATE SEQUENCE IF NOT EXISTS attendee_change_seq;`);
+    await client.query(`ALTER TABLE attendees ADD COLUMN IF NOT EXISTS change_seq BIGINT;`);
+    await client.query(
+      `UPDATE attendees SET change_seq = nextval('attendee_change_seq') WHERE change_seq IS NULL;`,
+    );
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_attendees_event_change_seq ON attendees(event_id, change_seq);`,
+    );
+
+    // No foreign key to events: deleting an event deletes its attendees, and
+    // their tombstones are written while the event row is going away
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS attendee_tombstones (
+        attendee_id INTEGER PRIMARY KEY,
+        event_id INTEGER NOT NULL,
+        change_seq BIGINT NOT NULL,
+        deleted_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_attendee_tombstones_event_change_seq
+       ON attendee_tombstones(event_id, change_seq);`,
+    );
+
+    // Runs at commit (deferred). The advisory lock is held until the
+    // transaction ends, so committed change numbers only ever grow.
+    await client.query(`
+      CREATE OR REPLACE FUNCTION attendees_record_change() RETURNS trigger AS $$
+      BEGIN
+        PERFORM pg_advisory_xact_lock(720414);
+        IF TG_OP = 'DELETE' THEN
+          INSERT INTO attendee_tombstones (attendee_id, event_id, change_seq)
+          VALUES (OLD.id, OLD.event_id, nextval('attendee_change_seq'))
+          ON CONFLICT (attendee_id) DO NOTHING;
+        ELSE
+          UPDATE attendees SET change_seq = nextval('attendee_change_seq') WHERE id = NEW.id;
+        END IF;
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await client.query(`DROP TRIGGER IF EXISTS attendees_change_insert_delete ON attendees;`);
+    await client.query(`
+      CREATE CONSTRAINT TRIGGER attendees_change_insert_delete
+      AFTER INSERT OR DELETE ON attendees
+      DEFERRABLE INITIALLY DEFERRED
+      FOR EACH ROW EXECUTE FUNCTION attendees_record_change();
+    `);
+    // The trigger's own change_seq update does not count as a change
+    await client.query(`DROP TRIGGER IF EXISTS attendees_change_update ON attendees;`);
+    await client.query(`
+      CREATE CONSTRAINT TRIGGER attendees_change_update
+      AFTER UPDATE ON attendees
+      DEFERRABLE INITIALLY DEFERRED
+      FOR EACH ROW
+      WHEN (OLD.change_seq IS NOT DISTINCT FROM NEW.change_seq)
+      EXECUTE FUNCTION attendees_record_change();
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sync_operations (
+        event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        key VARCHAR(100) NOT NULL,
+        type VARCHAR(20) NOT NULL,
+        result JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (event_id, key)
+      );
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS sync_operations;`);
+    await client.query(`DROP TRIGGER IF EXISTS attendees_change_update ON attendees;`);
+    await client.query(`DROP TRIGGER IF EXISTS attendees_change_insert_delete ON attendees;`);
+    await client.query(`DROP FUNCTION IF EXISTS attendees_record_change();`);
+    await client.query(`DROP TABLE IF EXISTS attendee_tombstones;`);
+    await client.query(`DROP INDEX IF EXISTS idx_attendees_event_change_seq;`);
+    await client.query(`ALTER TABLE attendees DROP COLUMN IF EXISTS change_seq;`);
+    await client.query(`DROP SEQUENCE IF EXISTS attendee_change_seq;`);
+  },
+};
@@ -0,0 +1,26 @@
+// Idempotency-Key support for the mutating event and attendee routes. Each row
+// holds the first response sent for a key (status_code is NULL while that
+// request is still running) until expires_at, when it may be swept or reused.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        scope VARCHAR(100) NOT NULL,
+        key VARCHAR(255) NOT NULL,
+        fingerprint CHAR(64) NOT NULL,
+        status_code INTEGER,
+        response_body JSONB,
+        created_at TIMESTAMP DEFAULT NOW(),
+        expires_at TIMESTAMP NOT NULL,
+        PRIMARY KEY (scope, key)
+      );
+    `);
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);`,
+    );
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS idempotency_keys;`);
+  },
+};
@@ -0,0 +1,11 @@
+// The X-Device-Label header is whatever the client sends, so it gets its own
+// column instead of standing in for the token's identity in actor_label.
+module.exports = {
+  async up(client) {
+    await client.query(`ALTER TABLE attendee_events ADD COLUMN IF NOT EXISTS device_label VARCHAR(100);`);
+  },
+
+  async down(client) {
+    await client.query(`ALTER TABLE attendee_events DROP COLUMN IF EXISTS device_label;`);
+  },
+};
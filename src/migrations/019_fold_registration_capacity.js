@@ -0,0 +1,23 @@
+// The public form's registration_capacity capped the attendee count, waitlist
+// included, and turned people away before the event's capacity could send
+// them to the waitlist. It is folded into events.capacity: an event that only
+// had a registration limit keeps it as its capacity.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      DO $$
+      BEGIN
+        IF EXISTS (SELECT 1 FROM information_schema.columns
+                   WHERE table_name = 'events' AND column_name = 'registration_capacity') THEN
+          UPDATE events SET capacity = registration_capacity
+          WHERE capacity IS NULL AND registration_capacity IS NOT NULL;
+        END IF;
+      END $$;
+    `);
+    await client.query(`ALTER TABLE events DROP COLUMN IF EXISTS registration_capacity;`);
+  },
+
+  async down(client) {
+    await client.query(`ALTER TABLE events ADD COLUMN IF NOT EXISTS registration_capacity INTEGER;`);
+  },
+};
@@ -0,0 +1,65 @@
+// Pushed sync operations are remembered per pushing account (the same scope as
+// idempotency_keys) with a fingerprint of the operation, so a key reused by
+// another device or for another operation is not answered with someone
+// else's result. Results stored before this have an empty scope and are no
+// longer replayed; the conflict rules already keep a repeated check-in, undo
+// or add from applying twice.
+//
+// Change numbers are now taken under a lock per event instead of one for the
+// whole database: pulls are per event, so they only need to grow within one,
+// and a big import no longer holds up check-ins at other events.
+module.exports = {
+  async up(client) {
+    await client.query(
+      `ALTER TABLE sync_operations ADD COLUMN IF NOT EXISTS scope VARCHAR(255) NOT NULL DEFAULT '';`,
+    );
+    await client.query(`ALTER TABLE sync_operations ADD COLUMN IF NOT EXISTS fingerprint CHAR(64);`);
+    await client.query(`ALTER TABLE sync_operations DROP CONSTRAINT IF EXISTS sync_operations_pkey;`);
+    await client.query(`ALTER TABLE sync_operations ADD PRIMARY KEY (event_id, scope, key);`);
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION attendees_record_change() RETURNS trigger AS $$
+      BEGIN
+        IF TG_OP = 'DELETE' THEN
+          PERFORM pg_advisory_xact_lock(720414, OLD.event_id);
+          INSERT INTO attendee_tombstones (attendee_id, event_id, change_seq)
+          VALUES (OLD.id, OLD.event_id, nextval('attendee_change_seq'))
+          ON CONFLICT (attendee_id) DO NOTHING;
+        ELSE
+          PERFORM pg_advisory_xact_lock(720414, NEW.event_id);
+          UPDATE attendees SET change_seq = nextval('attendee_change_seq') WHERE id = NEW.id;
+        END IF;
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      CREATE OR REPLACE FUNCTION attendees_record_change() RETURNS trigger AS $$
+      BEGIN
+        PERFORM pg_advisory_xact_lock(720414);
+        IF TG_OP = 'DELETE' THEN
+          INSERT INTO attendee_tombstones (attendee_id, event_id, change_seq)
+          VALUES (OLD.id, OLD.event_id, nextval('attendee_change_seq'))
+          ON CONFLICT (attendee_id) DO NOTHING;
+        ELSE
+          UPDATE attendees SET change_seq = nextval('attendee_change_seq') WHERE id = NEW.id;
+        END IF;
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    // Keeps one result per (event_id, key) so the old key fits again
+    await client.query(`
+      DELETE FROM sync_operations a USING sync_operations b
+      WHERE a.event_id = b.event_id AND a.key = b.key AND a.ctid > b.ctid;
+    `);
+    await client.query(`ALTER TABLE sync_operations DROP CONSTRAINT IF EXISTS sync_operations_pkey;`);
+    await client.query(`ALTER TABLE sync_operations ADD PRIMARY KEY (event_id, key);`);
+    await client.query(`ALTER TABLE sync_operations DROP COLUMN IF EXISTS fingerprint;`);
+    await client.query(`ALTER TABLE sync_operations DROP COLUMN IF EXISTS scope;`);
+  },
+};
@@ -0,0 +1,75 @@
+const { parsePhoneNumberFromString, getCountryCallingCode } = require("libphonenumber-js");
+
+// ─── normalization utilities ───────────────────────────────────────────────
+// Shared by duplicate detection and search so both compare values the same way
+
+// Country assumed for numbers written without a country code ("0812…")
+const DEFAULT_PHONE_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || "ID").toUpperCase();
+
+/**
+ * toE164
+ *
+ * Parses a phone number as typed ("0812-3456-7890", "62812…", "+62 812…")
+ * into E.164 ("+6281234567890"). Returns null when it is blank or not a
+ * valid number for the default country or its own country code.
+ */
+function toE164(number, country = DEFAULT_PHONE_COUNTRY) {
+  if (!number) return null;
+  const parsed = parsePhoneNumberFromString(number.toString(), country);
+  return parsed && parsed.isValid() ? parsed.number : null;
+}
+
+// Digits only, kept for numbers toE164 cannot parse
+function normalizePhone(number) {
+  if (!number) return null;
+  let digits = number.toString().replace(/\D/g, "");
+  return digits;
+}
+
+function normalizeName(name) {
+  if (!name) return "";
+  return name
+    .toString()
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+// Same folding as the attendees.name_search column: accents stripped,
+// lowercased, punctuation dropped, whitespace collapsed
+function normalizeSearchText(text) {
+  if (!text) return "";
+  return text
+    .toString()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]+/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * phoneSearchDigits
+ *
+ * Digits to look for in attendees.phone_digits when the search term looks
+ * like a phone number, or null. The leading trunk "0" or the default
+ * country's calling code is dropped so "0812…", "62812…" and "+62 812…" all
+ * find each other.
+ */
+function phoneSearchDigits(term) {
+  if (!term || !/^[\d\s+().-]+$/.test(term.toString().trim())) return null;
+  const digits = normalizePhone(term);
+  if (!digits || digits.length < 3) return null;
+  const callingCode = getCountryCallingCode(DEFAULT_PHONE_COUNTRY);
+  return digits.replace(new RegExp(`^(0|${callingCode})`), "") || digits;
+}
+
+module.exports = {
+  DEFAULT_PHONE_COUNTRY,
+  toE164,
+  normalizePhone,
+  normalizeName,
+  normalizeSearchText,
+  phoneSearchDigits,
+};
@@ -0,0 +1,121 @@
+const { query } = require("express-validator");
+
+const MAX_PAGE_SIZE = 500;
+const INT_MAX = 2147483647;
+
+/**
+ * Cursors are opaque to clients: base64url of [tag, sortKey, id] taken from
+ * the last row of a page. tag names the sort and direction the cursor was
+ * made for; sortKey is the sort expression cast to text, so timestamps keep
+ * their full precision across requests.
+ */
+function encodeCursor(tag, sortKey, id) {
+  return Buffer.from(JSON.stringify([tag, sortKey, id])).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const value = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (
+      Array.isArray(value) &&
+      value.length === 3 &&
+      typeof value[0] === "string" &&
+      typeof value[1] === "string" &&
+      Number.isInteger(value[2]) &&
+      Math.abs(value[2]) <= INT_MAX
+    )
+      return value;
+  } catch (_) {
+    // fall through
+  }
+  return null;
+}
+
+// A calendar date (and time) that Postgres will accept, checked field by field
+// so 2024-02-30 is refused rather than rolled over
+function isValidDateTime(value, withTime) {
+  if (value === "infinity" || value === "-infinity") return true;
+  const match = withTime
+    ? /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})(\.\d{1,6})?$/.exec(value)
+    : /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return false;
+  const [y, mo, d, h = 0, mi = 0, sec = 0] = match.slice(1, 7).map(Number);
+  const date = new Date(Date.UTC(y, mo - 1, d, h, mi, sec));
+  return (
+    date.getUTCFullYear() === y &&
+    date.getUTCMonth() === mo - 1 &&
+    date.getUTCDate() === d &&
+    date.getUTCHours() === h &&
+    date.getUTCMinutes() === mi &&
+    date.getUTCSeconds() === sec
+  );
+}
+
+// Whether a cursor's sortKey can be cast to the sort's `type`
+const SORT_KEY_CHECKS = {
+  int: (value) => /^-?\d{1,10}$/.test(value) && Math.abs(Number(value)) <= INT_MAX,
+  float8: (value) => /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(value),
+  text: (value) => !value.includes("\0"),
+  date: (value) => isValidDateTime(value, false),
+  timestamp: (value) => isValidDateTime(value, true),
+};
+
+// express-validator chain for ?limit=&sort=&order=&cursor=
+function paginationQuery(sortKeys) {
+  return [
+    query("limit").optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).toInt(),
+    query("sort").optional().isIn(sortKeys),
+    query("order").optional().isIn(["asc", "desc"]),
+    query("cursor").optional().isString(),
+  ];
+}
+
+/**
+ * keysetPage
+ *
+ * Builds the pieces of a keyset-paginated query. `sort` is one entry of a
+ * route's sort table: { expr, type, order } where `expr` never yields NULL
+ * (COALESCE nullable columns) and `type` is the cast for the cursor value.
+ * `expr` may be a function of the direction ("ASC" / "DESC") so NULLs can be
+ * sent to the end either way. `name` is the sort's key in that table.
+ * Rows are ordered by (expr, idColumn) so ties break by id. Returns
+ * { orderBy, condition, params, sortKey, tag } — `condition` is null on the
+ * first page — or { error } when the cursor cannot be decoded or was made
+ * for another sort or order.
+ */
+function keysetPage(sort, { name, order, cursor, nextParam, idColumn = "id" }) {
+  const direction = (order || sort.order || "asc") === "desc" ? "DESC" : "ASC";
+  const expr = typeof sort.expr === "function" ? sort.expr(direction) : sort.expr;
+  const result = {
+    orderBy: `${expr} ${direction}, ${idColumn} ${direction}`,
+    sortKey: `(${expr})::text`,
+    tag: `${name}:${direction.toLowerCase()}`,
+    condition: null,
+    params: [],
+  };
+  if (!cursor) return result;
+
+  const decoded = decodeCursor(cursor);
+  if (!decoded) return { error: "INVALID_CURSOR" };
+
+  const [tag, sortKey, id] = decoded;
+  if (tag !== result.tag || !SORT_KEY_CHECKS[sort.type](sortKey)) return { error: "INVALID_CURSOR" };
+
+  result.condition = `(${expr}, ${idColumn}) ${direction === "DESC" ? "<" : ">"}
+    ($${nextParam}::${sort.type}, $${nextParam + 1}::int)`;
+  result.params = [sortKey, id];
+  return result;
+}
+
+// Routes fetch limit + 1 rows; the extra row only tells whether another page
+// exists. Strips the sort_key column and returns the page with next_cursor
+// (null on the last page). `page` is what keysetPage returned.
+function finishPage(rows, limit, page) {
+  const data = limit ? rows.slice(0, limit) : rows;
+  const last = data[data.length - 1];
+  const next_cursor =
+    limit && rows.length > limit ? encodeCursor(page.tag, last.sort_key, last.id) : null;
+  return { data: data.map(({ sort_key, ...row }) => row), next_cursor };
+}
+
+module.exports = { MAX_PAGE_SIZE, paginationQuery, keysetPage, finishPage };
@@ -0,0 +1,88 @@
+const pool = require("./db");
+const { normalizeName } = require("./normalize");
+
+// The directory an event's attendees link into is its owner's; null for
+// events created before organizer accounts, which have no directory
+async function directoryOwner(eventId, db = pool) {
+  const result = await db.query("SELECT owner_id FROM events WHERE id = $1", [eventId]);
+  return result.rows[0]?.owner_id || null;
+}
+
+/**
+ * matchPerson
+ *
+ * Finds the directory entry for an attendee with the same normalization as
+ * import duplicate detection: the normalized name together with the E.164
+ * phone, since a household may share one phone. Failing that, the name alone
+ * — but only when one side has no phone, so two people who share a name but
+ * not a number stay apart.
+ */
+async function matchPerson(db, ownerId, { name, phone_e164 }) {
+  const key = normalizeName(name);
+  if (!key) return null;
+
+  if (phone_e164) {
+    const byPhone = await db.query(
+      "SELECT * FROM people WHERE owner_id = $1 AND phone_e164 = $2 AND name_key = $3 ORDER BY id LIMIT 1",
+      [ownerId, phone_e164, key],
+    );
+    if (byPhone.rows.length > 0) return byPhone.rows[0];
+  }
+
+  const byName = await db.query(
+    `SELECT * FROM people
+     WHERE owner_id = $1 AND name_key = $2 AND (phone_e164 IS NULL OR $3::text IS NULL)
+     ORDER BY id LIMIT 1`,
+    [ownerId, key, phone_e164 || null],
+  );
+  return byName.rows[0] || null;
+}
+
+/**
+ * linkPerson
+ *
+ * Resolves { person, matched } for an attendee about to be stored: the
+ * matching directory entry (blank contact details filled in from the
+ * attendee), or a new one. Resolves null when there is no directory owner.
+ */
+async function linkPerson(db, ownerId, attendee) {
+  if (!ownerId) return null;
+
+  const match = await matchPerson(db, ownerId, attendee);
+  if (match) {
+    const updated = await db.query(
+      `UPDATE people SET
+         phone_number = CASE WHEN phone_e164 IS NULL AND $3::text IS NOT NULL THEN $2 ELSE phone_number END,
+         phone_e164 = COALESCE(phone_e164, $3),
+         email = COALESCE(email, $4),
+         home_church = COALESCE(home_church, $5),
+         updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [
+        match.id,
+        attendee.phone_number || null,
+        attendee.phone_e164 || null,
+        attendee.email || null,
+        attendee.home_church || null,
+      ],
+    );
+    return { person: updated.rows[0], matched: true };
+  }
+
+  const created = await db.query(
+    `INSERT INTO people (owner_id, name, name_key, phone_number, phone_e164, email, home_church)
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+    [
+      ownerId,
+      attendee.name,
+      normalizeName(attendee.name),
+      attendee.phone_number || null,
+      attendee.phone_e164 || null,
+      attendee.email || null,
+      attendee.home_church || null,
+    ],
+  );
+  return { person: created.rows[0], matched: false };
+}
+
+module.exports = { directoryOwner, matchPerson, linkPerson };
@@ -0,0 +1,43 @@
+/**
+ * rateLimit
+ *
+ * In-memory fixed-window limiter for routes that take requests without a
+ * token. `key(req)` picks what is counted (by default the client IP); once
+ * `max` requests land within `windowMs` the route answers 429 with
+ * code RATE_LIMITED and a Retry-After header until the window ends.
+ * Counters live in this process only, so each instance limits on its own.
+ */
+function rateLimit({ windowMs, max, key = (req) => req.ip }) {
+  const hits = new Map();
+  let nextSweep = 0;
+
+  return (req, res, next) => {
+    const now = Date.now();
+
+    // Drop finished windows once per window so the map only holds active clients
+    if (now >= nextSweep) {
+      for (const [k, entry] of hits) {
+        if (entry.resetAt <= now) hits.delete(k);
+      }
+      nextSweep = now + windowMs;
+    }
+
+    const k = key(req);
+    let entry = hits.get(k);
+    if (!entry || entry.resetAt <= now) entry = { count: 0, resetAt: now + windowMs };
+    entry.count++;
+    hits.set(k, entry);
+
+    if (entry.count > max) {
+      res.set("Retry-After", String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({
+        success: false,
+        code: "RATE_LIMITED",
+        message: "Too many requests. Please try again later.",
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { rateLimit };
@@ -0,0 +1,58 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const pool = require("../db");
+const { query, validationResult } = require("express-validator");
+const { requireEventAccess, requirePermission } = require("../middleware/auth");
+const { getEventAnalytics } = require("../analytics");
+
+const DEFAULT_BUCKET_MINUTES = 5;
+const MAX_BUCKET_MINUTES = 24 * 60;
+
+// ─── GET attendance analytics for the event ───────────────────────────────────
+// ?bucket= minutes per timeline bucket (default 5), ?session_id= for one
+// session, ?from= / ?to= (ISO timestamps) to narrow the timeline
+router.get(
+  "/",
+  requireEventAccess,
+  requirePermission("analytics:read"),
+  query("bucket").optional().isInt({ min: 1, max: MAX_BUCKET_MINUTES }).toInt(),
+  query("session_id").optional().isInt().toInt(),
+  query("from").optional().isISO8601(),
+  query("to").optional().isISO8601(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId } = req.params;
+    const { session_id, from, to } = req.query;
+
+    try {
+      const eventRes = await pool.query("SELECT id FROM events WHERE id = $1", [eventId]);
+      if (eventRes.rows.length === 0)
+        return res.status(404).json({ success: false, code: "EVENT_NOT_FOUND", message: "Event not found" });
+
+      if (session_id) {
+        const sessionRes = await pool.query(
+          "SELECT id FROM event_sessions WHERE id = $1 AND event_id = $2",
+          [session_id, eventId],
+        );
+        if (sessionRes.rows.length === 0)
+          return res.status(404).json({ success: false, code: "SESSION_NOT_FOUND", message: "Session not found" });
+      }
+
+      const data = await getEventAnalytics(eventId, {
+        bucketMinutes: req.query.bucket || DEFAULT_BUCKET_MINUTES,
+        sessionId: session_id,
+        from,
+        to,
+      });
+      res.json({ success: true, data });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+module.exports = router;
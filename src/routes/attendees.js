@@ -3,82 +3,228 @@ const router = express.Router({ mergeParams: true });
 const pool = require("../db");
 const multer = require("multer");
 const XLSX = require("xlsx");
-const { body, param, validationResult } = require("express-validator");
-const { requireEventAccess } = require("../middleware/auth");
+const QRCode = require("qrcode");
+const { body, param, query, validationResult } = require("express-validator");
+const { requireEventAccess, requirePermission } = require("../middleware/auth");
+const { recordAttendeeEvent } = require("../audit");
+const { getEventStats, emitToEvent } = require("../broadcast");
+const {
+  checkInAttendee,
+  undoCheckIn,
+  bulkCheckIn,
+  bulkUndoCheckIn,
+  checkOutChild,
+} = require("../checkin");
+const { createTicketCode, ensureTicketCode } = require("../tickets");
+const { renderBadgesPdf, renderPickupLabelsPdf, LABEL_LAYOUTS } = require("../badges");
+const { paginationQuery, keysetPage, finishPage } = require("../pagination");
+const { withoutCodes, findDuplicateGroups, mergeAttendees } = require("../merge");
+const { directoryOwner, linkPerson } = require("../people");
+const { seatAllocator, promoteFromWaitlist } = require("../waitlist");
+const { groupResolver } = require("../groups");
+const { withoutPickupCode, loadGuardians, setGuardians } = require("../children");
+const { rateLimit } = require("../rateLimit");
+const { idempotent } = require("../idempotency");
+const {
+  toE164,
+  normalizePhone,
+  normalizeName,
+  normalizeSearchText,
+  phoneSearchDigits,
+} = require("../normalize");
+const {
+  IMPORT_FIELDS,
+  readSheet,
+  proposeMapping,
+  validateMapping,
+  mapRow,
+  looksLikeEmail,
+} = require("../importer");
+const {
+  loadEventFields,
+  validateCustomValues,
+  formatValue,
+} = require("../customFields");
 
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 10 * 1024 * 1024 },
 });
 
-// Helper: get event stats
-async function getEventStats(eventId) {
-  const res = await pool.query(
-    `
-    SELECT
-      COUNT(id)::int AS total_attendees,
-      COUNT(CASE WHEN checked_in THEN 1 END)::int AS checked_in_count
-    FROM attendees WHERE event_id = $1
-  `,
-    [eventId],
-  );
-  return res.rows[0];
-}
+// express-validator check for phone_number on create/update
+const isParsablePhone = (value) => !value || toE164(value) !== null;
+
+// Helper: WHERE clause for the list filters (?search=, ?checked_in=,
+// ?fields[key]=value), shared by the list and badge routes so a reprint
+// matches what the operator sees.
+// With ?session_id=, ?checked_in= applies to that session instead of the event.
+// ?waitlisted=true lists only the waitlist, false only attendees with a seat.
+//
+// Names match ignoring accents and punctuation, or fuzzily by trigram word
+// similarity; phone-like terms match on digits without the trunk 0 or
+// calling code. Both are served by the trigram indexes, so search-as-you-type
+// stays cheap. Email, home church and custom field values cannot use an index
+// and are only searched with ?search_all=true.
+// `rank` is a SQL expression scoring each row's closeness to the search
+// (null without one): exact and prefix name matches first, then phone
+// matches, then fuzzy matches.
+function buildAttendeeFilter(
+  eventId,
+  { search, search_all, checked_in, waitlisted, fields, session_id },
+) {
+  let where = `event_id = $1`;
+  const params = [eventId];
+  let paramIndex = 2;
+  let rank = null;
+
+  const term = normalizeSearchText(search);
+  const digits = phoneSearchDigits(search);
+  if (term || digits) {
+    const t = `$${paramIndex}::text`;
+    const d = `$${paramIndex + 1}::text`;
+    where += ` AND (name_search LIKE '%' || ${t} || '%'
+      OR (length(${t}) >= 3 AND ${t} <% name_search)
+      OR (${d} IS NOT NULL AND phone_digits LIKE '%' || ${d} || '%')`;
+    const searchAll = search_all === true || search_all === "true";
+    const raw = `$${paramIndex + 2}::text`;
+    if (searchAll) {
+      where += `
+      OR LOWER(email) LIKE ${raw}
+      OR f_unaccent(LOWER(home_church)) LIKE f_unaccent(${raw})
+      OR EXISTS (SELECT 1 FROM jsonb_each_text(custom_fields) cf
+        WHERE f_unaccent(LOWER(cf.value)) LIKE f_unaccent(${raw}))`;
+    }
+    where += ")";
+    rank = `GREATEST(
+      CASE WHEN name_search = ${t} THEN 1.0
+        WHEN name_search LIKE ${t} || '%' THEN 0.9
+        WHEN name_search LIKE '% ' || ${t} || '%' THEN 0.8
+        WHEN name_search LIKE '%' || ${t} || '%' THEN 0.6
+        ELSE 0 END,
+      CASE WHEN ${d} IS NOT NULL AND phone_digits LIKE '%' || ${d} || '%' THEN 0.85 ELSE 0 END,
+      word_similarity(${t}, name_search) * 0.5
+    )::float8`;
+    params.push(term, digits);
+    paramIndex += 2;
+    if (searchAll) {
+      params.push(`%${search.toLowerCase().trim()}%`);
+      paramIndex++;
+    }
+  }
 
-// ─── normalization utilities ───────────────────────────────────────────────
-function normalizePhone(number) {
-  if (!number) return null;
-  let digits = number.toString().replace(/\D/g, "");
-  return digits;
-}
+  if (checked_in !== undefined && checked_in !== "" && session_id) {
+    where += ` AND ${checked_in === "true" ? "" : "NOT "}EXISTS (SELECT 1 FROM session_checkins c
+      WHERE c.attendee_id = attendees.id AND c.session_id = $${paramIndex})`;
+    params.push(parseInt(session_id) || 0);
+    paramIndex++;
+  } else if (checked_in !== undefined && checked_in !== "") {
+    where += ` AND checked_in = $${paramIndex}`;
+    params.push(checked_in === "true");
+    paramIndex++;
+  }
 
-function normalizeName(name) {
-  if (!name) return "";
-  return name
-    .toString()
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9]/g, "");
-}
+  if (waitlisted === "true" || waitlisted === "false") {
+    where += ` AND waitlist_position IS ${waitlisted === "true" ? "NOT " : ""}NULL`;
+  }
+
+  // Exact (case-insensitive) match on a custom field; for multiselect fields
+  // the value matches when it is one of the chosen options
+  if (fields && typeof fields === "object") {
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === undefined || value === null || value === "") continue;
+      where += ` AND (LOWER(custom_fields->>($${paramIndex}::text)) = LOWER($${paramIndex + 1}::text)
+        OR custom_fields->($${paramIndex}::text) @> to_jsonb(ARRAY[$${paramIndex + 1}::text]))`;
+      params.push(key, value.toString());
+      paramIndex += 2;
+    }
+  }
 
-// Helper: emit to all clients watching this event
-function emitToEvent(req, eventId, event, payload) {
-  const io = req.app.get("io");
-  if (io) io.to(`event:${eventId}`).emit(event, payload);
+  return { where, params, rank };
 }
 
+// Sort options for the attendee list. Attendees who have not checked in sort
+// last by check-in time in either direction; attendees with a seat sort
+// before the waitlist by waitlist position.
+const ATTENDEE_SORTS = {
+  id: { expr: "id", type: "int" },
+  waitlist_position: { expr: "COALESCE(waitlist_position, 0)", type: "int" },
+  name: { expr: "LOWER(name)", type: "text" },
+  created_at: { expr: "COALESCE(created_at, '-infinity')", type: "timestamp" },
+  checked_in_at: {
+    expr: (direction) =>
+      `COALESCE(checked_in_at, '${direction === "DESC" ? "-infinity" : "infinity"}')`,
+    type: "timestamp",
+  },
+};
+
 // ─── GET attendees with optional search/filter ───────────────────────────────
-router.get("/", requireEventAccess, async (req, res) => {
-  const { eventId } = req.params;
-  const { search, checked_in } = req.query;
+// ?limit= pages the list (all rows when omitted); pass the returned
+// next_cursor as ?cursor= for the next page. ?sort= one of ATTENDEE_SORTS or
+// `relevance` (the default with ?search=), ?order=asc|desc. `total` counts
+// every row matching the filters.
+router.get(
+  "/",
+  requireEventAccess,
+  requirePermission("attendees:read"),
+  ...paginationQuery([...Object.keys(ATTENDEE_SORTS), "relevance"]),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
 
-  try {
-    let queryStr = `SELECT * FROM attendees WHERE event_id = $1`;
-    const params = [eventId];
-    let paramIndex = 2;
-
-    if (search && search.trim()) {
-      queryStr += ` AND (LOWER(name) LIKE $${paramIndex} OR phone_number LIKE $${paramIndex + 1})`;
-      const s = `%${search.toLowerCase().trim()}%`;
-      params.push(s, s);
-      paramIndex += 2;
-    }
+    const { eventId } = req.params;
+    const { limit, sort, order, cursor } = req.query;
 
-    if (checked_in !== undefined && checked_in !== "") {
-      queryStr += ` AND checked_in = $${paramIndex}`;
-      params.push(checked_in === "true");
-      paramIndex++;
-    }
+    try {
+      const { where, params, rank } = buildAttendeeFilter(eventId, req.query);
+      const byRelevance = rank && (!sort || sort === "relevance");
+      const sortName = byRelevance ? "relevance" : sort && sort !== "relevance" ? sort : "id";
+      const sortSpec = byRelevance
+        ? { expr: rank, type: "float8", order: "desc" }
+        : ATTENDEE_SORTS[sortName];
+      const page = keysetPage(sortSpec, {
+        name: sortName,
+        order,
+        cursor,
+        nextParam: params.length + 1,
+      });
+      if (page.error)
+        return res
+          .status(400)
+          .json({ success: false, code: page.error, message: "Cursor is not valid" });
 
-    queryStr += " ORDER BY id ASC";
+      const countRes = await pool.query(
+        `SELECT COUNT(id)::int AS total FROM attendees WHERE ${where}`,
+        params,
+      );
 
-    const result = await pool.query(queryStr, params);
-    res.json({ success: true, data: result.rows });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
-  }
-});
+      // session_ids lists the sessions each attendee is checked in to
+      const result = await pool.query(
+        `SELECT *, ARRAY(SELECT c.session_id FROM session_checkins c
+           WHERE c.attendee_id = attendees.id ORDER BY c.session_id) AS session_ids,
+           (SELECT g.name FROM attendee_groups g WHERE g.id = attendees.group_id) AS group_name,
+           ${page.sortKey} AS sort_key
+         FROM attendees
+         WHERE ${where}${page.condition ? ` AND ${page.condition}` : ""}
+         ORDER BY ${page.orderBy}
+         ${limit ? `LIMIT ${limit + 1}` : ""}`,
+        [...params, ...page.params],
+      );
+
+      // Pickup codes stay off the shared list; they are printed from /:attendeeId/labels
+      const { data, next_cursor } = finishPage(result.rows, limit, page);
+      res.json({
+        success: true,
+        data: data.map(withoutPickupCode),
+        total: countRes.rows[0].total,
+        next_cursor,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
 
 // ─── i18n labels for Excel export ────────────────────────────────────────────
 const EXPORT_LABELS = {
@@ -86,7 +232,9 @@ const EXPORT_LABELS = {
     col_no: "No",
     col_name: "Nama",
     col_phone: "No. Telepon",
+    col_email: "Email",
     col_church: "Gereja Asal",
+    col_group: "Keluarga",
     col_status: "Status",
     col_checkin_time: "Waktu Check-in",
     col_source: "Sumber Data",
@@ -94,6 +242,8 @@ const EXPORT_LABELS = {
     status_pending: "Belum Check-in",
     source_import: "Import File",
     source_manual: "Manual",
+    source_directory: "Direktori",
+    source_self: "Pendaftaran Online",
     info_event: "Acara",
     info_date: "Tanggal Acara",
     info_location: "Lokasi",
@@ -102,12 +252,18 @@ const EXPORT_LABELS = {
     info_exported: "Diekspor pada",
     sheet_attendees: "Peserta",
     sheet_info: "Info Export",
+    sheet_sessions: "Kehadiran Sesi",
+    col_sessions_attended: "Jumlah Sesi",
+    value_yes: "Ya",
+    value_no: "Tidak",
   },
   en: {
     col_no: "No",
     col_name: "Name",
     col_phone: "Phone Number",
+    col_email: "Email",
     col_church: "Home Church",
+    col_group: "Family / Group",
     col_status: "Status",
     col_checkin_time: "Check-in Time",
     col_source: "Source",
@@ -115,6 +271,8 @@ const EXPORT_LABELS = {
     status_pending: "Pending",
     source_import: "Imported",
     source_manual: "Manual",
+    source_directory: "Directory",
+    source_self: "Self-registration",
     info_event: "Event",
     info_date: "Event Date",
     info_location: "Location",
@@ -123,11 +281,15 @@ const EXPORT_LABELS = {
     info_exported: "Exported at",
     sheet_attendees: "Attendees",
     sheet_info: "Export Info",
+    sheet_sessions: "Session Attendance",
+    col_sessions_attended: "Sessions Attended",
+    value_yes: "Yes",
+    value_no: "No",
   },
 };
 
 // ─── GET export attendees as Excel ───────────────────────────────────────────
-router.get("/export", requireEventAccess, async (req, res) => {
+router.get("/export", requireEventAccess, requirePermission("attendees:export"), async (req, res) => {
   const { eventId } = req.params;
   const lang = req.query.lang === "en" ? "en" : "id";
   const L = EXPORT_LABELS[lang];
@@ -144,22 +306,30 @@ router.get("/export", requireEventAccess, async (req, res) => {
     const event = eventRes.rows[0];
 
     const attendeesRes = await pool.query(
-      "SELECT * FROM attendees WHERE event_id = $1 ORDER BY id ASC",
+      `SELECT a.*, g.name AS group_name FROM attendees a
+       LEFT JOIN attendee_groups g ON g.id = a.group_id
+       WHERE a.event_id = $1 ORDER BY a.id ASC`,
       [eventId],
     );
 
+    const customFields = await loadEventFields(eventId);
     const exportedAt = new Date();
 
     const rows = attendeesRes.rows.map((a, i) => ({
       [L.col_no]: i + 1,
       [L.col_name]: a.name,
       [L.col_phone]: a.phone_number || "",
-      [L.col_church]: a.email || "",
+      [L.col_email]: a.email || "",
+      [L.col_church]: a.home_church || "",
+      [L.col_group]: a.group_name || "",
       [L.col_status]: a.checked_in ? L.status_checked : L.status_pending,
       [L.col_checkin_time]: a.checked_in_at
         ? new Date(a.checked_in_at).toISOString()
         : "",
-      [L.col_source]: a.source === "import" ? L.source_import : L.source_manual,
+      [L.col_source]: L[`source_${a.source}`] || a.source || L.source_manual,
+      ...Object.fromEntries(
+        customFields.map((f) => [f.label, formatValue(a.custom_fields?.[f.key], L)]),
+      ),
     }));
 
     const wb = XLSX.utils.book_new();
@@ -170,19 +340,65 @@ router.get("/export", requireEventAccess, async (req, res) => {
       { wch: 30 },
       { wch: 18 },
       { wch: 30 },
+      { wch: 30 },
+      { wch: 24 },
       { wch: 18 },
       { wch: 22 },
       { wch: 14 },
+      ...customFields.map(() => ({ wch: 20 })),
     ];
 
     XLSX.utils.book_append_sheet(wb, ws, L.sheet_attendees);
 
+    // Attendance matrix: one row per attendee, one column per session
+    const sessionsRes = await pool.query(
+      "SELECT id, name FROM event_sessions WHERE event_id = $1 ORDER BY position ASC, id ASC",
+      [eventId],
+    );
+    const sessionCounts = {};
+    if (sessionsRes.rows.length > 0) {
+      const checkinsRes = await pool.query(
+        `SELECT c.session_id, c.attendee_id FROM session_checkins c
+         JOIN event_sessions s ON s.id = c.session_id WHERE s.event_id = $1`,
+        [eventId],
+      );
+      const attended = new Set(checkinsRes.rows.map((c) => `${c.session_id}:${c.attendee_id}`));
+
+      const matrix = attendeesRes.rows.map((a, i) => {
+        const row = { [L.col_no]: i + 1, [L.col_name]: a.name, [L.col_phone]: a.phone_number || "" };
+        let count = 0;
+        for (const s of sessionsRes.rows) {
+          const present = attended.has(`${s.id}:${a.id}`);
+          row[s.name] = present ? L.value_yes : "";
+          if (present) {
+            count++;
+            sessionCounts[s.id] = (sessionCounts[s.id] || 0) + 1;
+          }
+        }
+        row[L.col_sessions_attended] = count;
+        return row;
+      });
+
+      const matrixWs = XLSX.utils.json_to_sheet(matrix, {
+        header: [L.col_no, L.col_name, L.col_phone, ...sessionsRes.rows.map((s) => s.name), L.col_sessions_attended],
+      });
+      matrixWs["!cols"] = [
+        { wch: 5 },
+        { wch: 30 },
+        { wch: 18 },
+        ...sessionsRes.rows.map(() => ({ wch: 16 })),
+        { wch: 16 },
+      ];
+      XLSX.utils.book_append_sheet(wb, matrixWs, L.sheet_sessions);
+    }
+
     const infoData = [
       [L.info_event, event.name],
       [L.info_date, event.date || "-"],
       [L.info_location, event.location || "-"],
       [L.info_total, attendeesRes.rows.length],
       [L.info_checked, attendeesRes.rows.filter((a) => a.checked_in).length],
+      ...sessionsRes.rows.map((s) => [`${L.info_checked} — ${s.name}`, sessionCounts[s.id] || 0]),
       [L.info_exported, exportedAt.toISOString()],
     ];
     const infoWs = XLSX.utils.aoa_to_sheet(infoData);
@@ -204,21 +420,91 @@ router.get("/export", requireEventAccess, async (req, res) => {
   }
 });
 
+// ─── GET printable badges as PDF ──────────────────────────────────────────────
+// Same ?search= / ?checked_in= filters as the list; ?layout= one of
+// LABEL_LAYOUTS, ?qr=true adds the QR ticket, ?outline=true draws label borders
+router.get(
+  "/badges.pdf",
+  requireEventAccess,
+  requirePermission("attendees:export"),
+  query("layout").optional().isIn(Object.keys(LABEL_LAYOUTS)),
+  query("qr").optional().isBoolean(),
+  query("outline").optional().isBoolean(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId } = req.params;
+    const withQr = req.query.qr === "true";
+
+    try {
+      const eventRes = await pool.query("SELECT name FROM events WHERE id = $1", [eventId]);
+      if (eventRes.rows.length === 0) {
+        return res
+          .status(404)
+          .json({ success: false, code: "EVENT_NOT_FOUND", message: "Event not found" });
+      }
+
+      const { where, params } = buildAttendeeFilter(eventId, req.query);
+      const attendeesRes = await pool.query(
+        `SELECT * FROM attendees WHERE ${where} ORDER BY LOWER(name) ASC, id ASC`,
+        params,
+      );
+
+      let qrCodes;
+      if (withQr) {
+        qrCodes = new Map();
+        for (const attendee of attendeesRes.rows) {
+          const code = await ensureTicketCode(attendee);
+          qrCodes.set(attendee.id, await QRCode.toBuffer(code, { type: "png", width: 300, margin: 1 }));
+        }
+      }
+
+      const pdf = await renderBadgesPdf(attendeesRes.rows, {
+        layout: req.query.layout,
+        qrCodes,
+        eventName: eventRes.rows[0].name,
+        outline: req.query.outline === "true",
+      });
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `inline; filename="badges-event-${eventId}.pdf"`);
+      res.send(pdf);
+    } catch (err) {
+      console.error(err);
+      res
+        .status(500)
+        .json({ success: false, code: "BADGES_FAILED", message: "Badge generation failed: " + err.message });
+    }
+  },
+);
+
 // ─── POST create single attendee ─────────────────────────────────────────────
 router.post(
   "/",
   requireEventAccess,
+  requirePermission("attendees:write"),
+  idempotent,
   body("name").notEmpty().trim(),
-  body("phone_number").optional().trim(),
-  body("email").optional({ checkFalsy: true }),
+  body("phone_number").optional().trim().custom(isParsablePhone).withMessage("Invalid phone number"),
+  body("email").optional({ checkFalsy: true }).trim().isEmail().withMessage("Invalid email address"),
+  body("home_church").optional({ checkFalsy: true }).trim(),
+  body("custom_fields").optional().isObject(),
+  body("is_child").optional().isBoolean().toBoolean(),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty())
       return res.status(400).json({ success: false, errors: errors.array() });
 
     const { eventId } = req.params;
-    const { name, phone_number, email } = req.body;
+    const { name, phone_number, email, home_church, is_child } = req.body;
     try {
+      const fields = await loadEventFields(eventId);
+      const custom = validateCustomValues(fields, req.body.custom_fields);
+      if (custom.errors.length > 0)
+        return res.status(400).json({ success: false, code: "INVALID_CUSTOM_FIELDS", errors: custom.errors });
+
       // Block if event is finished
       const eventCheck = await pool.query(
         "SELECT is_finished FROM events WHERE id = $1",
@@ -232,10 +518,53 @@ router.post(
         });
       }
 
-      const result = await pool.query(
-        `INSERT INTO attendees (event_id, name, phone_number, email, source) VALUES ($1, $2, $3, $4, 'manual') RETURNING *`,
-        [eventId, name, phone_number || null, email || null],
-      );
+      const phone_e164 = toE164(phone_number);
+      const client = await pool.connect();
+      let result;
+      try {
+        await client.query("BEGIN");
+
+        // Past the event's capacity the attendee joins the waitlist
+        const nextSeat = await seatAllocator(client, eventId);
+        const link = await linkPerson(client, await directoryOwner(eventId, client), {
+          name,
+          phone_number,
+          phone_e164,
+          email,
+          home_church,
+        });
+
+        result = await client.query(
+          `INSERT INTO attendees
+             (event_id, name, phone_number, phone_e164, email, home_church, custom_fields, person_id,
+              source, waitlist_position, is_child)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'manual', $9, $10) RETURNING *`,
+          [
+            eventId,
+            name,
+            phone_number || null,
+            phone_e164,
+            email || null,
+            home_church || null,
+            JSON.stringify(custom.values),
+            link ? link.person.id : null,
+            nextSeat(),
+            !!is_child,
+          ],
+        );
+        await recordAttendeeEvent(client, req, {
+          eventId,
+          attendeeId: result.rows[0].id,
+          action: "create",
+          after: result.rows[0],
+        });
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
       const stats = await getEventStats(eventId);
 
       // Broadcast: new attendee added
@@ -253,8 +582,101 @@ router.post(
   },
 );
 
+// Helper: the optional `mapping` multipart field — a JSON object of
+// field → header, e.g. {"name":"Nama Lengkap","phone":"No HP"}
+function parseMappingField(raw) {
+  if (raw === undefined || raw === "") return { mapping: null };
+  if (typeof raw === "object") return { mapping: raw };
+  try {
+    const mapping = JSON.parse(raw);
+    if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) return { error: true };
+    return { mapping };
+  } catch (_) {
+    return { error: true };
+  }
+}
+
+// ─── POST import preview (dry run) ────────────────────────────────────────────
+// Same multipart upload as /import; nothing is written. Returns the sheets,
+// headers, the proposed (or supplied) mapping and the first `limit` rows
+// parsed with it, so the operator can confirm before committing via /import
+// with explicit `sheet` and `mapping` fields.
+router.post(
+  "/import/preview",
+  requireEventAccess,
+  requirePermission("attendees:write"),
+  upload.single("file"),
+  body("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    if (!req.file) {
+      return res
+        .status(400)
+        .json({ success: false, code: "NO_FILE", message: "No file uploaded" });
+    }
+
+    const { mapping: requestedMapping, error: mappingError } = parseMappingField(req.body.mapping);
+    if (mappingError) {
+      return res
+        .status(400)
+        .json({ success: false, code: "INVALID_MAPPING", message: "mapping must be a JSON object" });
+    }
+
+    try {
+      const { sheets, sheet, headers, rows } = readSheet(req.file.buffer, req.body.sheet);
+      if (!sheet) {
+        return res
+          .status(400)
+          .json({ success: false, code: "SHEET_NOT_FOUND", message: "SHEET_NOT_FOUND", sheets });
+      }
+
+      const customFields = await loadEventFields(req.params.eventId);
+      const mapping = requestedMapping || proposeMapping(headers, customFields);
+      const invalid = rows.length > 0 ? validateMapping(mapping, headers, customFields) : null;
+      const limit = req.body.limit || 10;
+
+      res.json({
+        success: true,
+        code: "IMPORT_PREVIEW",
+        message: "IMPORT_PREVIEW",
+        sheets,
+        sheet,
+        headers,
+        mapping,
+        mapping_error: invalid,
+        fields: [...IMPORT_FIELDS, ...customFields.map((f) => f.key)],
+        custom_fields: customFields,
+        total_rows: rows.length,
+        rows: rows.slice(0, limit).map((row, i) => {
+          const { custom, ...mapped } = mapRow(row, mapping, customFields);
+          const { values, errors: fieldErrors } = validateCustomValues(customFields, custom, {
+            enforceRequired: false,
+          });
+          if (mapped.email && !looksLikeEmail(mapped.email)) {
+            fieldErrors.unshift({ type: "field", location: "body", path: "email", msg: "Invalid email address" });
+          }
+          const phone_e164 = toE164(mapped.phone);
+          if (mapped.phone && !phone_e164) {
+            fieldErrors.unshift({ type: "field", location: "body", path: "phone_number", msg: "Invalid phone number" });
+          }
+          return { rowIndex: i + 2, ...mapped, phone_e164, custom_fields: values, errors: fieldErrors };
+        }),
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({
+        success: false,
+        code: "IMPORT_FAILED", message: "Error processing file: " + err.message,
+      });
+    }
+  },
+);
+
 // ─── POST import from CSV/Excel ───────────────────────────────────────────────
-router.post("/import", requireEventAccess, upload.single("file"), async (req, res) => {
+router.post("/import", requireEventAccess, requirePermission("attendees:write"), upload.single("file"), idempotent, async (req, res) => {
   const { eventId } = req.params;
 
   if (!req.file) {
@@ -277,10 +699,19 @@ router.post("/import", requireEventAccess, upload.single("file"), async (req, re
       });
     }
 
-    const workbook = XLSX.read(req.file.buffer, { type: "buffer" });
-    const sheetName = workbook.SheetNames[0];
-    const sheet = workbook.Sheets[sheetName];
-    const rows = XLSX.utils.sheet_to_json(sheet, { defval: "" });
+    const { mapping: requestedMapping, error: mappingError } = parseMappingField(req.body.mapping);
+    if (mappingError) {
+      return res
+        .status(400)
+        .json({ success: false, code: "INVALID_MAPPING", message: "mapping must be a JSON object" });
+    }
+
+    const { sheet, headers, rows } = readSheet(req.file.buffer, req.body.sheet);
+    if (!sheet) {
+      return res
+        .status(400)
+        .json({ success: false, code: "SHEET_NOT_FOUND", message: "SHEET_NOT_FOUND" });
+    }
 
     if (rows.length === 0) {
       return res
@@ -288,76 +719,24 @@ router.post("/import", requireEventAccess, upload.single("file"), async (req, re
         .json({ success: false, code: "FILE_EMPTY", message: "File is empty or has no data" });
     }
 
-    const nameKeys = [
-      "name",
-      "full name",
-      "fullname",
-      "nama",
-      "nama lengkap",
-      "your name",
-      "participant name",
-    ];
-    const phoneKeys = [
-      "phone",
-      "phone number",
-      "phonenumber",
-      "mobile",
-      "hp",
-      "no hp",
-      "no. hp",
-      "nomor hp",
-      "whatsapp",
-      "no telepon",
-      "handphone",
-    ];
-    // email column also recognises "Gereja Asal" variants
-    const emailKeys = [
-      "email",
-      "email address",
-      "emailaddress",
-      "e-mail",
-      "gereja asal",
-      "gereja",
-      "asal gereja",
-      "home church",
-      "church",
-    ];
-
-    const firstRow = rows[0];
-    const firstRowKeys = Object.keys(firstRow).map((k) =>
-      k.toLowerCase().trim(),
-    );
-
-    const findKey = (keys) => {
-      for (const k of keys) {
-        const found = firstRowKeys.find((fk) => fk === k || fk.includes(k));
-        if (found)
-          return Object.keys(firstRow).find(
-            (ok) =>
-              ok.toLowerCase().trim() === found ||
-              ok.toLowerCase().trim().includes(k),
-          );
-      }
-      return null;
-    };
-
-    const nameKey = findKey(nameKeys);
-    const phoneKey = findKey(phoneKeys);
-    const emailKey = findKey(emailKeys);
-
-    if (!nameKey) {
+    const customFields = await loadEventFields(eventId);
+    const mapping = requestedMapping || proposeMapping(headers, customFields);
+    const invalid = validateMapping(mapping, headers, customFields);
+    if (invalid) {
       return res.status(400).json({
         success: false,
-        code: "MISSING_NAME_COLUMN",
-        message: "MISSING_NAME_COLUMN",
-        detected_columns: Object.keys(firstRow),
+        code: invalid,
+        message: invalid,
+        detected_columns: headers,
       });
     }
 
     const client = await pool.connect();
     let imported = 0;
     let blankRows = 0;
+    let directoryMatches = 0;
     const duplicates = [];
+    const invalidValues = [];
 
     try {
       await client.query("BEGIN");
@@ -368,27 +747,56 @@ router.post("/import", requireEventAccess, upload.single("file"), async (req, re
         [eventId],
       );
       const isFirstImport = parseInt(countRes.rows[0].cnt) === 0;
+      const ownerId = await directoryOwner(eventId, client);
+      const nextSeat = await seatAllocator(client, eventId);
+      let waitlisted = 0;
+      const groupIdFor = groupResolver(client, eventId);
 
       for (const row of rows) {
-        const name = row[nameKey]?.toString().trim();
-        const phone = phoneKey ? row[phoneKey]?.toString().trim() : null;
-        const email = emailKey ? row[emailKey]?.toString().trim() : null;
+        const { name, phone, home_church, custom, ...mapped } = mapRow(row, mapping, customFields);
 
         if (!name) {
           blankRows++;
           continue;
         }
 
+        // A mapped email column that holds something else is left out and reported
+        let email = mapped.email || null;
+        const rowErrors = [];
+        if (email && !looksLikeEmail(email)) {
+          rowErrors.push({ type: "field", location: "body", path: "email", msg: "Invalid email address" });
+          email = null;
+        }
+
+        // An unparsable phone is kept as typed (without an E.164 form) and reported
+        const phoneE164 = toE164(phone);
+        if (phone && !phoneE164) {
+          rowErrors.push({ type: "field", location: "body", path: "phone_number", msg: "Invalid phone number" });
+        }
+
+        // Spreadsheets are often incomplete: required custom fields are not
+        // enforced here, and values that fail validation are left out and reported
+        const { values: customValues, errors: fieldErrors } = validateCustomValues(
+          customFields,
+          custom,
+          { enforceRequired: false },
+        );
+        rowErrors.push(...fieldErrors);
+        if (rowErrors.length > 0) {
+          invalidValues.push({ rowIndex: rows.indexOf(row) + 2, name, errors: rowErrors });
+        }
+
         // Only check for duplicates on subsequent imports (not the first one)
         if (!isFirstImport) {
           let duplicateMatch = null;
 
-          const normPhone = normalizePhone(phone);
+          // Compare E.164 forms so 0812…, 62812… and +62 812… match;
+          // numbers that do not parse fall back to comparing digits
+          const normPhone = phoneE164 || normalizePhone(phone);
           if (normPhone) {
             const phoneCheck = await client.query(
               `SELECT id, name, phone_number FROM attendees
-               WHERE event_id = $1
-                 AND regexp_replace(phone_number, '\\D', '', 'g') = $2
+               WHERE event_id = $1 AND ${phoneE164 ? "phone_e164" : "phone_digits"} = $2
                LIMIT 1`,
               [eventId, normPhone],
             );
@@ -424,6 +832,9 @@ router.post("/import", requireEventAccess, upload.single("file"), async (req, re
               name,
               phone,
               email,
+              home_church,
+              group: mapped.group,
+              custom_fields: customValues,
               rowIndex: rows.indexOf(row) + 2,
               matchedBy: duplicateMatch.matchedBy,
               existingName: duplicateMatch.existingName,
@@ -433,13 +844,55 @@ router.post("/import", requireEventAccess, upload.single("file"), async (req, re
           }
         }
 
+        // Regulars are recognised from the directory instead of becoming new people
+        const link = await linkPerson(client, ownerId, {
+          name,
+          phone_number: phone,
+          phone_e164: phoneE164,
+          email,
+          home_church,
+        });
+        if (link?.matched) directoryMatches++;
+
+        const waitlistPosition = nextSeat();
+        if (waitlistPosition !== null) waitlisted++;
+
         await client.query(
-          `INSERT INTO attendees (event_id, name, phone_number, email, source) VALUES ($1, $2, $3, $4, 'import')`,
-          [eventId, name, phone || null, email || null],
+          `INSERT INTO attendees
+             (event_id, name, phone_number, phone_e164, email, home_church, custom_fields, person_id,
+              source, waitlist_position, group_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'import', $9, $10)`,
+          [
+            eventId,
+            name,
+            phone || null,
+            phoneE164,
+            email,
+            home_church || null,
+            JSON.stringify(customValues),
+            link ? link.person.id : null,
+            waitlistPosition,
+            await groupIdFor(mapped.group),
+          ],
         );
         imported++;
       }
 
+      await recordAttendeeEvent(client, req, {
+        eventId,
+        action: "import",
+        after: {
+          file: req.file.originalname,
+          sheet,
+          mapping,
+          imported,
+          waitlisted,
+          blankRows,
+          directoryMatches,
+          duplicateCount: duplicates.length,
+        },
+      });
+
       await client.query("COMMIT");
 
       const stats = await getEventStats(eventId);
@@ -456,9 +909,15 @@ router.post("/import", requireEventAccess, upload.single("file"), async (req, re
         code: duplicates.length > 0 ? "IMPORT_PARTIAL" : "IMPORT_COMPLETE",
         message: duplicates.length > 0 ? "IMPORT_PARTIAL" : "IMPORT_COMPLETE",
         imported,
+        waitlisted,
         blankRows,
+        directoryMatches,
         duplicateCount: duplicates.length,
         duplicates,
+        invalidValueCount: invalidValues.length,
+        invalidValues,
+        sheet,
+        mapping,
       });
     } catch (err) {
       await client.query("ROLLBACK");
@@ -476,7 +935,7 @@ router.post("/import", requireEventAccess, upload.single("file"), async (req, re
 });
 
 // ─── POST import approved duplicates ──────────────────────────────────────────
-router.post("/import-duplicates", requireEventAccess, async (req, res) => {
+router.post("/import-duplicates", requireEventAccess, requirePermission("attendees:write"), idempotent, async (req, res) => {
   const { eventId } = req.params;
   const { duplicates } = req.body;
 
@@ -504,21 +963,65 @@ router.post("/import-duplicates", requireEventAccess, async (req, res) => {
 
     const client = await pool.connect();
     let imported = 0;
+    let waitlisted = 0;
 
     try {
       await client.query("BEGIN");
 
+      const customFields = await loadEventFields(eventId, client);
+      const ownerId = await directoryOwner(eventId, client);
+      const nextSeat = await seatAllocator(client, eventId);
+      const groupIdFor = groupResolver(client, eventId);
+
       for (const dup of duplicates) {
-        const { name, phone, email } = dup;
+        const { name, phone, home_church } = dup;
         if (!name) continue;
+        const email = dup.email && looksLikeEmail(dup.email) ? dup.email : null;
+
+        // Same leniency as /import: drop values that no longer validate
+        const { values: customValues } = validateCustomValues(customFields, dup.custom_fields, {
+          enforceRequired: false,
+        });
+
+        const phoneE164 = toE164(phone);
+        const link = await linkPerson(client, ownerId, {
+          name,
+          phone_number: phone,
+          phone_e164: phoneE164,
+          email,
+          home_church,
+        });
+
+        const waitlistPosition = nextSeat();
+        if (waitlistPosition !== null) waitlisted++;
 
         await client.query(
-          `INSERT INTO attendees (event_id, name, phone_number, email, source) VALUES ($1, $2, $3, $4, 'import')`,
-          [eventId, name, phone || null, email || null],
+          `INSERT INTO attendees
+             (event_id, name, phone_number, phone_e164, email, home_church, custom_fields, person_id,
+              source, waitlist_position, group_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'import', $9, $10)`,
+          [
+            eventId,
+            name,
+            phone || null,
+            phoneE164,
+            email,
+            home_church || null,
+            JSON.stringify(customValues),
+            link ? link.person.id : null,
+            waitlistPosition,
+            await groupIdFor(dup.group),
+          ],
         );
         imported++;
       }
 
+      await recordAttendeeEvent(client, req, {
+        eventId,
+        action: "import_duplicates",
+        after: { imported, waitlisted },
+      });
+
       await client.query("COMMIT");
 
       const stats = await getEventStats(eventId);
@@ -534,6 +1037,7 @@ router.post("/import-duplicates", requireEventAccess, async (req, res) => {
         success: true,
         code: "IMPORT_DUPLICATES_COMPLETE", message: "IMPORT_DUPLICATES_COMPLETE",
         imported,
+        waitlisted,
       });
     } catch (err) {
       await client.query("ROLLBACK");
@@ -550,52 +1054,53 @@ router.post("/import-duplicates", requireEventAccess, async (req, res) => {
   }
 });
 
-// ─── PATCH update attendee ────────────────────────────────────────────────────
-router.patch(
-  "/:attendeeId",
+// Helper: 409 for events without an owner, which have no directory
+function noDirectory(res) {
+  return res.status(409).json({
+    success: false,
+    code: "NO_DIRECTORY",
+    message: "Claim this event to use the people directory",
+  });
+}
+
+// ─── GET people directory for this event ──────────────────────────────────────
+// The event owner's directory, with `in_event` marking people already added.
+// It spans all the owner's events, so only admins may browse it.
+// ?search= matches name, phone or email; ?limit= 1–200 (default 50).
+router.get(
+  "/directory",
   requireEventAccess,
-  param("attendeeId").isInt(),
-  body("name").notEmpty().trim(),
-  body("phone_number").optional({ checkFalsy: true }).trim(),
-  body("email").optional({ checkFalsy: true }).trim(),
+  requirePermission("directory:read"),
+  query("limit").optional().isInt({ min: 1, max: 200 }).toInt(),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty())
       return res.status(400).json({ success: false, errors: errors.array() });
 
-    const { eventId, attendeeId } = req.params;
-    const { name, phone_number, email } = req.body;
-
+    const { eventId } = req.params;
     try {
-      // Block if event is finished
-      const eventCheck = await pool.query(
-        "SELECT is_finished FROM events WHERE id = $1",
-        [eventId],
-      );
-      if (eventCheck.rows[0]?.is_finished) {
-        return res.status(403).json({
-          success: false,
-          message: "This event has been finished. Editing attendees is disabled.", code: "EVENT_FINISHED",
-        });
+      const ownerId = await directoryOwner(eventId);
+      if (!ownerId) return noDirectory(res);
+
+      let where = "p.owner_id = $2";
+      const params = [eventId, ownerId];
+      const { search } = req.query;
+      if (search && search.trim()) {
+        const digits = phoneSearchDigits(search);
+        where += ` AND (f_unaccent(LOWER(p.name)) LIKE f_unaccent($3::text) OR LOWER(p.email) LIKE $3::text
+          OR ($4::text IS NOT NULL AND regexp_replace(COALESCE(p.phone_number, ''), '\\D', '', 'g') LIKE '%' || $4::text || '%'))`;
+        params.push(`%${search.toLowerCase().trim()}%`, digits);
       }
 
       const result = await pool.query(
-        `UPDATE attendees
-         SET name = $1, phone_number = $2, email = $3, updated_at = NOW()
-         WHERE id = $4 AND event_id = $5
-         RETURNING *`,
-        [name, phone_number || null, email || null, attendeeId, eventId],
+        `SELECT p.*,
+           EXISTS (SELECT 1 FROM attendees a WHERE a.event_id = $1 AND a.person_id = p.id) AS in_event
+         FROM people p WHERE ${where}
+         ORDER BY LOWER(p.name) ASC, p.id ASC
+         LIMIT ${req.query.limit || 50}`,
+        params,
       );
-
-      if (result.rows.length === 0)
-        return res.status(404).json({ success: false, code: "ATTENDEE_NOT_FOUND", message: "Attendee not found" });
-
-      emitToEvent(req, eventId, "attendee:updated", {
-        eventId: parseInt(eventId),
-        attendee: result.rows[0],
-      });
-
-      res.json({ success: true, data: result.rows[0] });
+      res.json({ success: true, data: result.rows });
     } catch (err) {
       console.error(err);
       res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
@@ -603,76 +1108,119 @@ router.patch(
   },
 );
 
-// ─── PATCH check-in ───────────────────────────────────────────────────────────
-router.patch(
-  "/:attendeeId/checkin",
+// ─── POST add people from the directory ──────────────────────────────────────
+// Body: { person_ids: [...] } — people already in the event are skipped
+router.post(
+  "/from-directory",
   requireEventAccess,
-  param("attendeeId").isInt(),
+  requirePermission("directory:read"),
+  idempotent,
+  body("person_ids").isArray({ min: 1, max: 1000 }),
+  body("person_ids.*").isInt().toInt(),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty())
       return res.status(400).json({ success: false, errors: errors.array() });
 
-    const { eventId, attendeeId } = req.params;
+    const { eventId } = req.params;
+    const personIds = [...new Set(req.body.person_ids)];
+
     try {
-      // Block check-in if event is finished
+      // Block if event is finished
       const eventCheck = await pool.query(
-        "SELECT is_finished FROM events WHERE id = $1",
+        "SELECT is_finished, owner_id FROM events WHERE id = $1",
         [eventId],
       );
-      if (eventCheck.rows.length === 0) {
-        return res
-          .status(404)
-          .json({ success: false, code: "EVENT_NOT_FOUND", message: "Event not found" });
-      }
-      if (eventCheck.rows[0].is_finished) {
+      if (eventCheck.rows[0]?.is_finished) {
         return res.status(403).json({
           success: false,
           message:
-            "This event has been finished. Check-in is disabled.", code: "EVENT_FINISHED",
+            "This event has been finished. Adding attendees is disabled.", code: "EVENT_FINISHED",
         });
       }
+      const ownerId = eventCheck.rows[0]?.owner_id;
+      if (!ownerId) return noDirectory(res);
+
+      const client = await pool.connect();
+      let added;
+      let skipped;
+      try {
+        await client.query("BEGIN");
+
+        const peopleRes = await client.query(
+          "SELECT * FROM people WHERE owner_id = $1 AND id = ANY($2::int[])",
+          [ownerId, personIds],
+        );
+        if (peopleRes.rows.length !== personIds.length) {
+          await client.query("ROLLBACK");
+          const found = new Set(peopleRes.rows.map((p) => p.id));
+          return res.status(404).json({
+            success: false,
+            code: "PERSON_NOT_FOUND",
+            message: "Person not found",
+            missing: personIds.filter((id) => !found.has(id)),
+          });
+        }
 
-      const current = await pool.query(
-        "SELECT * FROM attendees WHERE id = $1 AND event_id = $2",
-        [attendeeId, eventId],
-      );
-
-      if (current.rows.length === 0) {
-        return res
-          .status(404)
-          .json({ success: false, code: "ATTENDEE_NOT_FOUND", message: "Attendee not found" });
-      }
-
-      const attendee = current.rows[0];
+        const existing = await client.query(
+          "SELECT person_id FROM attendees WHERE event_id = $1 AND person_id = ANY($2::int[])",
+          [eventId, personIds],
+        );
+        const alreadyIn = new Set(existing.rows.map((row) => row.person_id));
+        skipped = personIds.filter((id) => alreadyIn.has(id));
+
+        added = [];
+        const nextSeat = await seatAllocator(client, eventId);
+        for (const person of peopleRes.rows.filter((p) => !alreadyIn.has(p.id))) {
+          const inserted = await client.query(
+            `INSERT INTO attendees
+               (event_id, name, phone_number, phone_e164, email, home_church, person_id, source,
+                waitlist_position)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, 'directory', $8) RETURNING *`,
+            [
+              eventId,
+              person.name,
+              person.phone_number,
+              person.phone_e164,
+              person.email,
+              person.home_church,
+              person.id,
+              nextSeat(),
+            ],
+          );
+          added.push(inserted.rows[0]);
+        }
 
-      if (attendee.checked_in) {
-        // Return the attendee data so the client can format the time in its own timezone
-        return res.status(409).json({
-          success: false,
-          message: `${attendee.name} is already checked in`, code: "ALREADY_CHECKED_IN",
-          data: attendee,
+        await recordAttendeeEvent(client, req, {
+          eventId,
+          action: "directory_add",
+          after: { imported: added.length, skipped: skipped.length, person_ids: personIds },
         });
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
       }
 
-      const result = await pool.query(
-        `UPDATE attendees SET checked_in = TRUE, checked_in_at = NOW(), updated_at = NOW()
-       WHERE id = $1 AND event_id = $2 RETURNING *`,
-        [attendeeId, eventId],
-      );
-
       const stats = await getEventStats(eventId);
 
-      emitToEvent(req, eventId, "attendee:checked_in", {
+      emitToEvent(req, eventId, "attendees:imported", {
         eventId: parseInt(eventId),
-        attendee: result.rows[0],
+        imported: added.length,
+        skipped: skipped.length,
         stats,
       });
 
-      res.json({
+      res.status(201).json({
         success: true,
-        code: "CHECKIN_SUCCESS", attendeeName: result.rows[0].name, message: "CHECKIN_SUCCESS",
-        data: result.rows[0],
+        code: "DIRECTORY_ADD_COMPLETE",
+        message: "DIRECTORY_ADD_COMPLETE",
+        imported: added.length,
+        waitlisted: added.filter((a) => a.waitlist_position !== null).length,
+        skipped,
+        data: added,
       });
     } catch (err) {
       console.error(err);
@@ -681,36 +1229,770 @@ router.patch(
   },
 );
 
-// ─── PATCH undo check-in ──────────────────────────────────────────────────────
-router.patch(
-  "/:attendeeId/undo-checkin",
+// ─── GET likely duplicates ────────────────────────────────────────────────────
+// Groups attendees sharing a phone number or normalized name, for review before /merge
+router.get("/duplicates", requireEventAccess, requirePermission("attendees:write"), async (req, res) => {
+  try {
+    const groups = await findDuplicateGroups(req.params.eventId);
+    res.json({ success: true, data: groups });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+  }
+});
+
+// ─── POST merge duplicates into one attendee ─────────────────────────────────
+// Body: { survivor_id, duplicate_ids: [...], fields: { email: <attendeeId>,
+// "custom_fields.size": <attendeeId>, ... } } — see mergeAttendees
+router.post(
+  "/merge",
   requireEventAccess,
-  param("attendeeId").isInt(),
+  requirePermission("attendees:write"),
+  idempotent,
+  body("survivor_id").isInt().toInt(),
+  body("duplicate_ids").isArray({ min: 1 }),
+  body("duplicate_ids.*").isInt().toInt(),
+  body("fields").optional().isObject(),
   async (req, res) => {
-    const { eventId, attendeeId } = req.params;
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId } = req.params;
+    const { survivor_id, fields } = req.body;
+    const duplicateIds = [...new Set(req.body.duplicate_ids)];
+
+    if (duplicateIds.includes(survivor_id)) {
+      return res.status(400).json({
+        success: false,
+        code: "INVALID_MERGE",
+        message: "The surviving attendee cannot also be a duplicate",
+      });
+    }
+
     try {
-      const result = await pool.query(
-        `UPDATE attendees SET checked_in = FALSE, checked_in_at = NULL, updated_at = NOW()
-       WHERE id = $1 AND event_id = $2 RETURNING *`,
+      // Block if event is finished
+      const eventCheck = await pool.query(
+        "SELECT is_finished FROM events WHERE id = $1",
+        [eventId],
+      );
+      if (eventCheck.rows[0]?.is_finished) {
+        return res.status(403).json({
+          success: false,
+          message: "This event has been finished. Merging attendees is disabled.", code: "EVENT_FINISHED",
+        });
+      }
+
+      const client = await pool.connect();
+      let outcome;
+      let promoted = [];
+      try {
+        await client.query("BEGIN");
+        outcome = await mergeAttendees(client, eventId, {
+          survivorId: survivor_id,
+          duplicateIds,
+          fields,
+        });
+        if (outcome.error) {
+          await client.query("ROLLBACK");
+        } else {
+          await recordAttendeeEvent(client, req, {
+            eventId,
+            attendeeId: survivor_id,
+            action: "merge",
+            before: { survivor: outcome.survivor, duplicates: outcome.duplicates },
+            after: outcome.merged,
+          });
+          // Merging seated duplicates frees their seats
+          promoted = await promoteFromWaitlist(client, req, eventId);
+          await client.query("COMMIT");
+        }
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
+
+      if (outcome.error === "ATTENDEE_NOT_FOUND")
+        return res.status(404).json({
+          success: false,
+          code: "ATTENDEE_NOT_FOUND",
+          message: "Attendee not found",
+          missing: outcome.missing,
+        });
+      if (outcome.error)
+        return res.status(400).json({
+          success: false,
+          code: outcome.error,
+          message: `fields.${outcome.field} is not a mergeable field or names an attendee outside the merge`,
+        });
+
+      const stats = await getEventStats(eventId);
+
+      // One event for the whole merge so door screens swap the rows in one go
+      emitToEvent(req, eventId, "attendees:merged", {
+        eventId: parseInt(eventId),
+        attendee: withoutPickupCode(outcome.merged),
+        mergedIds: duplicateIds,
+        stats,
+      });
+      if (promoted.length > 0)
+        emitToEvent(req, eventId, "attendees:promoted", {
+          eventId: parseInt(eventId),
+          attendees: promoted,
+          stats,
+        });
+
+      res.json({
+        success: true,
+        code: "ATTENDEES_MERGED",
+        message: "ATTENDEES_MERGED",
+        data: withoutCodes(outcome.merged),
+        mergedIds: duplicateIds,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// Most attendees one bulk check-in or undo may touch
+const BULK_MAX = 1000;
+
+const bulkBody = [
+  body("attendee_ids").optional().isArray({ min: 1, max: BULK_MAX }),
+  body("attendee_ids.*").isInt().toInt(),
+  body("filter").optional().isObject(),
+  body("filter.fields").optional().isObject(),
+  body("session_id").optional({ nullable: true }).isInt().toInt(),
+];
+
+// Helper: the attendee ids a bulk request targets — the listed ids, or every
+// attendee matching `filter` (the list route's search / checked_in /
+// waitlisted / fields filters). Resolves { ids } or { error } as { status, body }.
+async function resolveBulkTargets(eventId, { attendee_ids, filter, session_id }) {
+  if (!attendee_ids === !filter) {
+    return {
+      error: {
+        status: 400,
+        body: { success: false, code: "BULK_TARGET_REQUIRED", message: "Give either attendee_ids or filter" },
+      },
+    };
+  }
+  if (attendee_ids) return { ids: [...new Set(attendee_ids)] };
+
+  // JSON bodies may send booleans where the query string has "true" / "false"
+  const asText = (value) => (value === undefined || value === null ? undefined : String(value));
+  const { where, params } = buildAttendeeFilter(eventId, {
+    ...filter,
+    search: asText(filter.search),
+    checked_in: asText(filter.checked_in),
+    waitlisted: asText(filter.waitlisted),
+    session_id,
+  });
+  // A filter that narrows nothing would target the whole event
+  if (where === "event_id = $1") {
+    return {
+      error: {
+        status: 400,
+        body: {
+          success: false,
+          code: "BULK_TARGET_REQUIRED",
+          message: "filter needs at least one of search, checked_in, waitlisted or fields",
+        },
+      },
+    };
+  }
+  const result = await pool.query(
+    `SELECT id FROM attendees WHERE ${where} ORDER BY id LIMIT ${BULK_MAX + 1}`,
+    params,
+  );
+  if (result.rows.length > BULK_MAX) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          success: false,
+          code: "TOO_MANY_ATTENDEES",
+          message: `The filter matches more than ${BULK_MAX} attendees`,
+        },
+      },
+    };
+  }
+  return { ids: result.rows.map((row) => row.id) };
+}
+
+// ─── POST bulk check-in ───────────────────────────────────────────────────────
+// Body: { attendee_ids: [...] } or { filter: {...} }, plus session_id for
+// events with sessions. One transaction, per-id results, one broadcast.
+router.post(
+  "/bulk-checkin",
+  requireEventAccess,
+  requirePermission("attendees:checkin"),
+  idempotent,
+  ...bulkBody,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId } = req.params;
+    try {
+      const { ids, error } = await resolveBulkTargets(eventId, req.body);
+      if (error) return res.status(error.status).json(error.body);
+
+      const { status, body } = await bulkCheckIn(req, eventId, ids, {
+        sessionId: req.body.session_id,
+      });
+      res.status(status).json(body);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// ─── POST bulk undo check-in ──────────────────────────────────────────────────
+// Same body as /bulk-checkin
+router.post(
+  "/bulk-undo-checkin",
+  requireEventAccess,
+  requirePermission("attendees:checkin"),
+  idempotent,
+  ...bulkBody,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId } = req.params;
+    try {
+      const { ids, error } = await resolveBulkTargets(eventId, req.body);
+      if (error) return res.status(error.status).json(error.body);
+
+      const { status, body } = await bulkUndoCheckIn(req, eventId, ids, {
+        sessionId: req.body.session_id,
+      });
+      res.status(status).json(body);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// ─── PATCH update attendee ────────────────────────────────────────────────────
+router.patch(
+  "/:attendeeId",
+  requireEventAccess,
+  requirePermission("attendees:write"),
+  idempotent,
+  param("attendeeId").isInt(),
+  body("name").notEmpty().trim(),
+  body("phone_number")
+    .optional({ checkFalsy: true })
+    .trim()
+    .custom(isParsablePhone)
+    .withMessage("Invalid phone number"),
+  body("email").optional({ checkFalsy: true }).trim().isEmail().withMessage("Invalid email address"),
+  body("home_church").optional({ checkFalsy: true }).trim(),
+  body("custom_fields").optional().isObject(),
+  body("is_child").optional().isBoolean().toBoolean(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId, attendeeId } = req.params;
+    const { name, phone_number, email, home_church, is_child } = req.body;
+
+    try {
+      // Block if event is finished
+      const eventCheck = await pool.query(
+        "SELECT is_finished FROM events WHERE id = $1",
+        [eventId],
+      );
+      if (eventCheck.rows[0]?.is_finished) {
+        return res.status(403).json({
+          success: false,
+          message: "This event has been finished. Editing attendees is disabled.", code: "EVENT_FINISHED",
+        });
+      }
+
+      const current = await pool.query(
+        "SELECT * FROM attendees WHERE id = $1 AND event_id = $2",
         [attendeeId, eventId],
       );
-      if (result.rows.length === 0)
+      if (current.rows.length === 0)
+        return res.status(404).json({ success: false, code: "ATTENDEE_NOT_FOUND", message: "Attendee not found" });
+
+      // custom_fields is merged into the stored values; omit it to leave them as they are
+      let customValues = current.rows[0].custom_fields;
+      if (req.body.custom_fields) {
+        const fields = await loadEventFields(eventId);
+        const custom = validateCustomValues(fields, req.body.custom_fields, {
+          existing: current.rows[0].custom_fields,
+        });
+        if (custom.errors.length > 0)
+          return res.status(400).json({ success: false, code: "INVALID_CUSTOM_FIELDS", errors: custom.errors });
+        customValues = custom.values;
+      }
+
+      const phone_e164 = toE164(phone_number);
+      const client = await pool.connect();
+      let updated;
+      try {
+        await client.query("BEGIN");
+
+        // A new name or phone may be a different person in the directory
+        let personId = current.rows[0].person_id;
+        if (name !== current.rows[0].name || phone_e164 !== current.rows[0].phone_e164) {
+          const link = await linkPerson(client, await directoryOwner(eventId, client), {
+            name,
+            phone_number,
+            phone_e164,
+            email,
+            home_church,
+          });
+          if (link) personId = link.person.id;
+        }
+
+        const result = await client.query(
+          `UPDATE attendees
+           SET name = $1, phone_number = $2, phone_e164 = $3, email = $4, home_church = $5,
+               custom_fields = $6, is_child = $7, person_id = $8, updated_at = NOW()
+           WHERE id = $9 AND event_id = $10
+           RETURNING *`,
+          [
+            name,
+            phone_number || null,
+            phone_e164,
+            email || null,
+            home_church || null,
+            JSON.stringify(customValues),
+            is_child ?? current.rows[0].is_child,
+            personId,
+            attendeeId,
+            eventId,
+          ],
+        );
+        if (result.rows.length === 0) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({ success: false, code: "ATTENDEE_NOT_FOUND", message: "Attendee not found" });
+        }
+        updated = result.rows[0];
+
+        await recordAttendeeEvent(client, req, {
+          eventId,
+          attendeeId,
+          action: "update",
+          before: current.rows[0],
+          after: updated,
+        });
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
+
+      emitToEvent(req, eventId, "attendee:updated", {
+        eventId: parseInt(eventId),
+        attendee: withoutPickupCode(updated),
+      });
+
+      res.json({ success: true, data: withoutPickupCode(updated) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// ─── GET QR ticket ────────────────────────────────────────────────────────────
+// ?format=png (default) | svg | json
+router.get(
+  "/:attendeeId/ticket",
+  requireEventAccess,
+  requirePermission("tickets:issue"),
+  param("attendeeId").isInt(),
+  query("format").optional().isIn(["png", "svg", "json"]),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId, attendeeId } = req.params;
+    const format = req.query.format || "png";
+
+    try {
+      const current = await pool.query(
+        "SELECT * FROM attendees WHERE id = $1 AND event_id = $2",
+        [attendeeId, eventId],
+      );
+      if (current.rows.length === 0)
         return res
           .status(404)
           .json({ success: false, code: "ATTENDEE_NOT_FOUND", message: "Attendee not found" });
 
-      const stats = await getEventStats(eventId);
+      const code = await ensureTicketCode(current.rows[0]);
 
-      emitToEvent(req, eventId, "attendee:unchecked", {
-        eventId: parseInt(eventId),
-        attendee: result.rows[0],
-        stats,
+      if (format === "json") {
+        return res.json({ success: true, data: { attendee_id: parseInt(attendeeId), ticket_code: code } });
+      }
+
+      if (format === "svg") {
+        const svg = await QRCode.toString(code, { type: "svg", margin: 2 });
+        res.setHeader("Content-Type", "image/svg+xml");
+        return res.send(svg);
+      }
+
+      const png = await QRCode.toBuffer(code, { type: "png", width: 300, margin: 2 });
+      res.setHeader("Content-Type", "image/png");
+      res.send(png);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// ─── POST rotate QR ticket — invalidates the previously printed code ──────────
+router.post(
+  "/:attendeeId/ticket/rotate",
+  requireEventAccess,
+  requirePermission("tickets:issue"),
+  idempotent,
+  param("attendeeId").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId, attendeeId } = req.params;
+    try {
+      const client = await pool.connect();
+      let rotated;
+      try {
+        await client.query("BEGIN");
+        const result = await client.query(
+          `UPDATE attendees SET ticket_code = $1, updated_at = NOW()
+           WHERE id = $2 AND event_id = $3 RETURNING id, ticket_code`,
+          [createTicketCode(), attendeeId, eventId],
+        );
+        if (result.rows.length === 0) {
+          await client.query("ROLLBACK");
+          return res
+            .status(404)
+            .json({ success: false, code: "ATTENDEE_NOT_FOUND", message: "Attendee not found" });
+        }
+        rotated = result.rows[0];
+
+        await recordAttendeeEvent(client, req, {
+          eventId,
+          attendeeId,
+          action: "ticket_rotate",
+        });
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
+
+      res.json({
+        success: true,
+        code: "TICKET_ROTATED",
+        message: "TICKET_ROTATED",
+        data: { attendee_id: rotated.id, ticket_code: rotated.ticket_code },
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// ─── PATCH check-in ───────────────────────────────────────────────────────────
+// Body: { session_id } — required for events with sessions
+router.patch(
+  "/:attendeeId/checkin",
+  requireEventAccess,
+  requirePermission("attendees:checkin"),
+  idempotent,
+  param("attendeeId").isInt(),
+  body("session_id").optional({ nullable: true }).isInt().toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId, attendeeId } = req.params;
+    try {
+      const { status, body } = await checkInAttendee(req, eventId, attendeeId, {
+        sessionId: req.body.session_id,
+      });
+      res.status(status).json(body);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// ─── PATCH undo check-in ──────────────────────────────────────────────────────
+// Body: { session_id } — required for events with sessions
+router.patch(
+  "/:attendeeId/undo-checkin",
+  requireEventAccess,
+  requirePermission("attendees:checkin"),
+  idempotent,
+  param("attendeeId").isInt(),
+  body("session_id").optional({ nullable: true }).isInt().toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId, attendeeId } = req.params;
+    try {
+      const { status, body } = await undoCheckIn(req, eventId, attendeeId, {
+        sessionId: req.body.session_id,
+      });
+      res.status(status).json(body);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// Check-out attempts per child per window: plenty for typos at the door, too
+// few to guess a pickup code
+const checkoutLimit = rateLimit({
+  windowMs: 10 * 60 * 1000,
+  max: 10,
+  key: (req) => `${req.params.eventId}:${req.params.attendeeId}`,
+});
+
+// ─── GET guardians of a child ─────────────────────────────────────────────────
+router.get(
+  "/:attendeeId/guardians",
+  requireEventAccess,
+  requirePermission("attendees:read"),
+  param("attendeeId").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId, attendeeId } = req.params;
+    try {
+      const current = await pool.query(
+        "SELECT id FROM attendees WHERE id = $1 AND event_id = $2",
+        [attendeeId, eventId],
+      );
+      if (current.rows.length === 0)
+        return res
+          .status(404)
+          .json({ success: false, code: "ATTENDEE_NOT_FOUND", message: "Attendee not found" });
+
+      const guardians = await loadGuardians([current.rows[0].id]);
+      res.json({ success: true, data: guardians.get(current.rows[0].id) || [] });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// ─── PUT guardians of a child ─────────────────────────────────────────────────
+// Body: { guardian_ids: [...] } — the complete list, replacing any before
+router.put(
+  "/:attendeeId/guardians",
+  requireEventAccess,
+  requirePermission("attendees:write"),
+  idempotent,
+  param("attendeeId").isInt(),
+  body("guardian_ids").isArray(),
+  body("guardian_ids.*").isInt().toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId, attendeeId } = req.params;
+    const guardianIds = [...new Set(req.body.guardian_ids)];
+
+    const client = await pool.connect();
+    let child;
+    let guardians;
+    try {
+      await client.query("BEGIN");
+      const current = await client.query(
+        "SELECT * FROM attendees WHERE id = $1 AND event_id = $2 FOR UPDATE",
+        [attendeeId, eventId],
+      );
+      if (current.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res
+          .status(404)
+          .json({ success: false, code: "ATTENDEE_NOT_FOUND", message: "Attendee not found" });
+      }
+      child = current.rows[0];
+      if (!child.is_child) {
+        await client.query("ROLLBACK");
+        return res
+          .status(400)
+          .json({ success: false, code: "NOT_A_CHILD", message: `${child.name} is not marked as a child` });
+      }
+
+      const before = (await loadGuardians([child.id], client)).get(child.id) || [];
+      const missing = await setGuardians(client, eventId, child.id, guardianIds);
+      if (missing) {
+        await client.query("ROLLBACK");
+        return res
+          .status(404)
+          .json({ success: false, code: "ATTENDEE_NOT_FOUND", message: "Attendee not found", missing });
+      }
+      guardians = (await loadGuardians([child.id], client)).get(child.id) || [];
+
+      await recordAttendeeEvent(client, req, {
+        eventId,
+        attendeeId: child.id,
+        action: "guardians_update",
+        before: { guardian_ids: before.map((g) => g.id) },
+        after: { guardian_ids: guardians.map((g) => g.id) },
       });
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error(err);
+      return res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    } finally {
+      client.release();
+    }
+
+    emitToEvent(req, eventId, "attendee:updated", {
+      eventId: parseInt(eventId),
+      attendee: { ...withoutPickupCode(child), guardians },
+    });
+
+    res.json({ success: true, data: guardians });
+  },
+);
+
+// ─── PATCH check-out child ────────────────────────────────────────────────────
+// Body: { pickup_code } — the code printed on the guardian's label
+router.patch(
+  "/:attendeeId/checkout",
+  requireEventAccess,
+  requirePermission("attendees:checkin"),
+  idempotent,
+  checkoutLimit,
+  param("attendeeId").isInt(),
+  body("pickup_code").isString().trim().notEmpty(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId, attendeeId } = req.params;
+    try {
+      const { status, body } = await checkOutChild(req, eventId, attendeeId, {
+        pickupCode: req.body.pickup_code,
+      });
+      res.status(status).json(body);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// ─── GET children's check-in labels ───────────────────────────────────────────
+// A child label and a guardian pickup label, both with the pickup code. The
+// door prints from the check-in response; reprints are for coordinators, so
+// volunteers cannot read a code that check-out is meant to verify.
+// ?format=json (default) | pdf; for pdf, ?layout= one of LABEL_LAYOUTS
+// (default a4-3x8) and ?outline=true draws label borders
+router.get(
+  "/:attendeeId/labels",
+  requireEventAccess,
+  requirePermission("labels:reprint"),
+  param("attendeeId").isInt(),
+  query("format").optional().isIn(["json", "pdf"]),
+  query("layout").optional().isIn(Object.keys(LABEL_LAYOUTS)),
+  query("outline").optional().isBoolean(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId, attendeeId } = req.params;
+    try {
+      const current = await pool.query(
+        `SELECT a.*, e.name AS event_name FROM attendees a
+         JOIN events e ON e.id = a.event_id
+         WHERE a.id = $1 AND a.event_id = $2`,
+        [attendeeId, eventId],
+      );
+      if (current.rows.length === 0)
+        return res
+          .status(404)
+          .json({ success: false, code: "ATTENDEE_NOT_FOUND", message: "Attendee not found" });
+
+      const child = current.rows[0];
+      if (!child.is_child)
+        return res
+          .status(400)
+          .json({ success: false, code: "NOT_A_CHILD", message: `${child.name} is not marked as a child` });
+      if (child.checked_out_at)
+        return res
+          .status(409)
+          .json({ success: false, code: "ALREADY_CHECKED_OUT", message: `${child.name} has already been picked up` });
+      if (!child.checked_in || !child.pickup_code)
+        return res
+          .status(409)
+          .json({ success: false, code: "NOT_CHECKED_IN", message: `${child.name} is not checked in` });
+
+      const guardians = (await loadGuardians([child.id])).get(child.id) || [];
+      const labels = [
+        { type: "child", name: child.name, pickup_code: child.pickup_code, guardians: null },
+        {
+          type: "guardian",
+          name: child.name,
+          pickup_code: child.pickup_code,
+          guardians: guardians.length ? guardians.map((g) => g.name).join(", ") : null,
+        },
+      ];
+
+      if (req.query.format === "pdf") {
+        const pdf = await renderPickupLabelsPdf(labels, {
+          layout: req.query.layout,
+          eventName: child.event_name,
+          outline: req.query.outline === "true",
+        });
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader("Content-Disposition", `inline; filename="labels-attendee-${child.id}.pdf"`);
+        return res.send(pdf);
+      }
 
       res.json({
         success: true,
-        code: "UNDO_SUCCESS", message: "Check-in undone",
-        data: result.rows[0],
+        data: {
+          attendee_id: child.id,
+          name: child.name,
+          event_name: child.event_name,
+          pickup_code: child.pickup_code,
+          checked_in_at: child.checked_in_at,
+          guardians,
+          labels,
+        },
       });
     } catch (err) {
       console.error(err);
@@ -720,7 +2002,7 @@ router.patch(
 );
 
 // ─── DELETE attendee ──────────────────────────────────────────────────────────
-router.delete("/:attendeeId", requireEventAccess, param("attendeeId").isInt(), async (req, res) => {
+router.delete("/:attendeeId", requireEventAccess, requirePermission("attendees:write"), idempotent, param("attendeeId").isInt(), async (req, res) => {
   const { eventId, attendeeId } = req.params;
   try {
     // Block if event is finished
@@ -736,14 +2018,37 @@ router.delete("/:attendeeId", requireEventAccess, param("attendeeId").isInt(), a
       });
     }
 
-    const result = await pool.query(
-      "DELETE FROM attendees WHERE id = $1 AND event_id = $2 RETURNING *",
-      [attendeeId, eventId],
-    );
-    if (result.rows.length === 0)
-      return res
-        .status(404)
-        .json({ success: false, code: "ATTENDEE_NOT_FOUND", message: "Attendee not found" });
+    const client = await pool.connect();
+    let promoted;
+    try {
+      await client.query("BEGIN");
+      const result = await client.query(
+        "DELETE FROM attendees WHERE id = $1 AND event_id = $2 RETURNING *",
+        [attendeeId, eventId],
+      );
+      if (result.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res
+          .status(404)
+          .json({ success: false, code: "ATTENDEE_NOT_FOUND", message: "Attendee not found" });
+      }
+
+      await recordAttendeeEvent(client, req, {
+        eventId,
+        attendeeId,
+        action: "delete",
+        before: result.rows[0],
+      });
+
+      // A freed seat goes to the front of the waitlist
+      promoted = await promoteFromWaitlist(client, req, eventId);
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
 
     const stats = await getEventStats(eventId);
 
@@ -752,6 +2057,12 @@ router.delete("/:attendeeId", requireEventAccess, param("attendeeId").isInt(), a
       attendeeId: parseInt(attendeeId),
       stats,
     });
+    if (promoted.length > 0)
+      emitToEvent(req, eventId, "attendees:promoted", {
+        eventId: parseInt(eventId),
+        attendees: promoted,
+        stats,
+      });
 
     res.json({ success: true, code: "ATTENDEE_DELETED", message: "Attendee deleted" });
   } catch (err) {
@@ -761,14 +2072,37 @@ router.delete("/:attendeeId", requireEventAccess, param("attendeeId").isInt(), a
 });
 
 // ─── DELETE all attendees ─────────────────────────────────────────────────────
-router.delete("/", requireEventAccess, async (req, res) => {
+router.delete("/", requireEventAccess, requirePermission("attendees:clear"), idempotent, async (req, res) => {
   const { eventId } = req.params;
   try {
-    await pool.query("DELETE FROM attendees WHERE event_id = $1", [eventId]);
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const deleted = await client.query(
+        "DELETE FROM attendees WHERE event_id = $1 RETURNING *",
+        [eventId],
+      );
+
+      // Keep the full rows so a mistaken clear-all can be reconstructed
+      await recordAttendeeEvent(client, req, {
+        eventId,
+        action: "clear",
+        before: deleted.rows,
+        after: { deleted: deleted.rows.length },
+      });
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    const stats = await getEventStats(eventId);
 
     emitToEvent(req, eventId, "attendees:cleared", {
       eventId: parseInt(eventId),
-      stats: { total_attendees: 0, checked_in_count: 0 },
+      stats,
     });
 
     res.json({ success: true, code: "ATTENDEES_CLEARED", message: "All attendees cleared" });
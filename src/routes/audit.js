@@ -0,0 +1,78 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const pool = require("../db");
+const { query, validationResult } = require("express-validator");
+const { requireEventAccess, requirePermission } = require("../middleware/auth");
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// ─── GET audit trail, newest first ───────────────────────────────────────────
+// Filters: attendee_id, action, from / to (ISO timestamps), before_id for paging
+router.get(
+  "/",
+  requireEventAccess,
+  requirePermission("audit:read"),
+  query("attendee_id").optional().isInt(),
+  query("action").optional().isString().trim(),
+  query("from").optional().isISO8601(),
+  query("to").optional().isISO8601(),
+  query("before_id").optional().isInt(),
+  query("limit").optional().isInt({ min: 1, max: MAX_LIMIT }).toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId } = req.params;
+    const { attendee_id, action, from, to, before_id } = req.query;
+    const limit = req.query.limit || DEFAULT_LIMIT;
+
+    try {
+      let queryStr = `
+        SELECT ae.*, u.email AS actor_email
+        FROM attendee_events ae
+        LEFT JOIN users u ON u.id = ae.actor_user_id
+        WHERE ae.event_id = $1`;
+      const params = [eventId];
+
+      if (attendee_id) {
+        params.push(attendee_id);
+        queryStr += ` AND ae.attendee_id = $${params.length}`;
+      }
+      if (action) {
+        params.push(action);
+        queryStr += ` AND ae.action = $${params.length}`;
+      }
+      if (from) {
+        params.push(from);
+        queryStr += ` AND ae.created_at >= $${params.length}`;
+      }
+      if (to) {
+        params.push(to);
+        queryStr += ` AND ae.created_at <= $${params.length}`;
+      }
+      if (before_id) {
+        params.push(before_id);
+        queryStr += ` AND ae.id < $${params.length}`;
+      }
+
+      params.push(limit);
+      queryStr += ` ORDER BY ae.id DESC LIMIT $${params.length}`;
+
+      const result = await pool.query(queryStr, params);
+      const rows = result.rows;
+
+      res.json({
+        success: true,
+        data: rows,
+        next_before_id: rows.length === limit ? rows[rows.length - 1].id : null,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,111 @@
+const express = require("express");
+const router = express.Router();
+const pool = require("../db");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const { body, validationResult } = require("express-validator");
+const { requireUser, JWT_SECRET, TOKEN_TTL } = require("../middleware/auth");
+
+// Helper: strip password_hash from response
+function sanitize(user) {
+  const { password_hash, ...safe } = user;
+  return safe;
+}
+
+function signUserToken(user) {
+  return jwt.sign({ userId: user.id, email: user.email }, JWT_SECRET, {
+    expiresIn: TOKEN_TTL,
+  });
+}
+
+// POST register organizer account — returns a JWT so the client is logged in straight away
+router.post(
+  "/register",
+  body("email").isEmail().withMessage("A valid email is required").normalizeEmail(),
+  body("password").isLength({ min: 8 }).withMessage("Password must be at least 8 characters"),
+  body("name").optional({ checkFalsy: true }).trim(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { email, password, name } = req.body;
+    try {
+      const password_hash = await bcrypt.hash(password, 10);
+      const result = await pool.query(
+        `INSERT INTO users (email, name, password_hash) VALUES ($1, $2, $3)
+         ON CONFLICT (email) DO NOTHING RETURNING *`,
+        [email, name || null, password_hash],
+      );
+      if (result.rows.length === 0)
+        return res
+          .status(409)
+          .json({ success: false, code: "EMAIL_TAKEN", message: "Email is already registered" });
+
+      const user = result.rows[0];
+      res.status(201).json({
+        success: true,
+        code: "REGISTERED",
+        message: "REGISTERED",
+        token: signUserToken(user),
+        data: sanitize(user),
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// POST login — returns a JWT on success
+router.post(
+  "/login",
+  body("email").isEmail().normalizeEmail(),
+  body("password").notEmpty(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { email, password } = req.body;
+    try {
+      const result = await pool.query("SELECT * FROM users WHERE email = $1", [email]);
+      const user = result.rows[0];
+
+      const match = user ? await bcrypt.compare(password, user.password_hash) : false;
+      if (!match)
+        return res
+          .status(401)
+          .json({ success: false, code: "INVALID_CREDENTIALS", message: "Incorrect email or password" });
+
+      res.json({
+        success: true,
+        code: "AUTH_OK",
+        message: "AUTH_OK",
+        token: signUserToken(user),
+        data: sanitize(user),
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// GET current organizer
+router.get("/me", requireUser, async (req, res) => {
+  try {
+    const result = await pool.query("SELECT * FROM users WHERE id = $1", [req.user.id]);
+    if (result.rows.length === 0)
+      return res
+        .status(404)
+        .json({ success: false, code: "USER_NOT_FOUND", message: "User not found" });
+
+    res.json({ success: true, data: sanitize(result.rows[0]) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+  }
+});
+
+module.exports = router;
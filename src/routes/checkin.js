@@ -0,0 +1,55 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const pool = require("../db");
+const { body, validationResult } = require("express-validator");
+const { requireEventAccess, requirePermission } = require("../middleware/auth");
+const { checkInAttendee } = require("../checkin");
+const { isValidTicketCode } = require("../tickets");
+
+// ─── POST scan QR ticket ──────────────────────────────────────────────────────
+// Body: { code, session_id } — the decoded QR content, plus the session for
+// events with sessions. Responds exactly like PATCH /attendees/:attendeeId/checkin
+// once the ticket is resolved.
+router.post(
+  "/scan",
+  requireEventAccess,
+  requirePermission("attendees:checkin"),
+  body("code").isString().trim().notEmpty(),
+  body("session_id").optional({ nullable: true }).isInt().toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId } = req.params;
+    const { code } = req.body;
+
+    if (!isValidTicketCode(code)) {
+      return res
+        .status(400)
+        .json({ success: false, code: "TICKET_INVALID", message: "Ticket code is not valid" });
+    }
+
+    try {
+      const ticket = await pool.query(
+        "SELECT id FROM attendees WHERE ticket_code = $1 AND event_id = $2",
+        [code, eventId],
+      );
+      if (ticket.rows.length === 0) {
+        return res
+          .status(404)
+          .json({ success: false, code: "TICKET_NOT_FOUND", message: "No attendee for this ticket" });
+      }
+
+      const { status, body: payload } = await checkInAttendee(req, eventId, ticket.rows[0].id, {
+        sessionId: req.body.session_id,
+      });
+      res.status(status).json(payload);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+module.exports = router;
@@ -1,33 +1,129 @@
 const express = require("express");
 const router = express.Router();
 const pool = require("../db");
+const crypto = require("crypto");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const { body, param, validationResult } = require("express-validator");
-const { requireEventAccess, JWT_SECRET, TOKEN_TTL } = require("../middleware/auth");
+const { paginationQuery, keysetPage, finishPage } = require("../pagination");
+const { getEventStats, emitToEvent } = require("../broadcast");
+const { promoteFromWaitlist } = require("../waitlist");
+const { idempotent } = require("../idempotency");
+const {
+  requireEventAccess,
+  requirePermission,
+  requireUser,
+  verifyEventToken,
+  can,
+  ROLES,
+  KIOSK_ROLE,
+  JWT_SECRET,
+  TOKEN_TTL,
+} = require("../middleware/auth");
+
+// Volunteer and kiosk links default to a single service day and may not outlive a weekend retreat
+const VOLUNTEER_LINK_DEFAULT_HOURS = 12;
+const VOLUNTEER_LINK_MAX_HOURS = 72;
 
-// Helper: strip password_hash from response
+// Helper: strip password hashes from response
 function sanitize(event) {
-  const { password_hash, ...safe } = event;
-  return { ...safe, is_protected: !!password_hash };
+  const { password_hash, checkin_password_hash, ...safe } = event;
+  return {
+    ...safe,
+    is_protected: !!password_hash,
+    has_checkin_password: !!checkin_password_hash,
+  };
+}
+
+// The main event password grants coordinator access once an organizer owns the
+// event; ownerless events have nobody else to manage them, so it grants admin.
+function passwordRole(event) {
+  return event.owner_id ? "coordinator" : "admin";
 }
 
-// GET all events
-router.get("/", async (req, res) => {
+// Helper: 404/403 unless the logged-in user owns the event
+async function loadOwnedEvent(req, res) {
+  const result = await pool.query("SELECT * FROM events WHERE id = $1", [req.params.id]);
+  if (result.rows.length === 0) {
+    res.status(404).json({ success: false, code: "EVENT_NOT_FOUND", message: "Event not found" });
+    return null;
+  }
+  if (result.rows[0].owner_id !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      code: "NOT_EVENT_OWNER",
+      message: "Only the event owner can do this",
+    });
+    return null;
+  }
+  return result.rows[0];
+}
+
+// Sort options for the event list; newest first unless asked otherwise.
+// Undated events sort last by date in either direction.
+const EVENT_SORTS = {
+  created_at: { expr: "COALESCE(e.created_at, '-infinity')", type: "timestamp", order: "desc" },
+  name: { expr: "LOWER(e.name)", type: "text" },
+  date: {
+    expr: (direction) => `COALESCE(e.date, '${direction === "DESC" ? "-infinity" : "infinity"}')`,
+    type: "date",
+  },
+};
+
+// GET events the logged-in organizer owns or was invited to.
+// Same ?limit= / ?cursor= / ?sort= / ?order= paging as the attendee list.
+router.get("/", requireUser, ...paginationQuery(Object.keys(EVENT_SORTS)), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty())
+    return res.status(400).json({ success: false, errors: errors.array() });
+
+  const { limit, sort, order, cursor } = req.query;
+  const page = keysetPage(EVENT_SORTS[sort || "created_at"], {
+    name: sort || "created_at",
+    order,
+    cursor,
+    nextParam: 2,
+    idColumn: "e.id",
+  });
+  if (page.error)
+    return res.status(400).json({ success: false, code: page.error, message: "Cursor is not valid" });
+
   try {
-    const result = await pool.query(`
+    const countRes = await pool.query(
+      `
+      SELECT COUNT(e.id)::int AS total
+      FROM events e
+      LEFT JOIN event_members m ON m.event_id = e.id AND m.user_id = $1
+      WHERE e.owner_id = $1 OR m.user_id IS NOT NULL
+    `,
+      [req.user.id],
+    );
+
+    const result = await pool.query(
+      `
       SELECT
         e.id, e.name, e.description, e.date, e.time, e.location,
-        e.is_finished, e.created_at, e.updated_at,
+        e.is_finished, e.owner_id, e.registration_open, e.capacity, e.created_at, e.updated_at,
         CASE WHEN e.password_hash IS NOT NULL THEN TRUE ELSE FALSE END AS is_protected,
+        (e.owner_id = $1) AS is_owner,
+        CASE WHEN e.owner_id = $1 THEN 'admin' ELSE m.role END AS role,
         COUNT(a.id)::int AS total_attendees,
-        COUNT(CASE WHEN a.checked_in THEN 1 END)::int AS checked_in_count
+        COUNT(CASE WHEN a.checked_in THEN 1 END)::int AS checked_in_count,
+        COUNT(CASE WHEN a.waitlist_position IS NOT NULL THEN 1 END)::int AS waitlist_count,
+        ${page.sortKey} AS sort_key
       FROM events e
+      LEFT JOIN event_members m ON m.event_id = e.id AND m.user_id = $1
       LEFT JOIN attendees a ON a.event_id = e.id
-      GROUP BY e.id
-      ORDER BY e.created_at DESC
-    `);
-    res.json({ success: true, data: result.rows });
+      WHERE (e.owner_id = $1 OR m.user_id IS NOT NULL)${page.condition ? ` AND ${page.condition}` : ""}
+      GROUP BY e.id, m.role
+      ORDER BY ${page.orderBy}
+      ${limit ? `LIMIT ${limit + 1}` : ""}
+    `,
+      [req.user.id, ...page.params],
+    );
+
+    const { data, next_cursor } = finishPage(result.rows, limit, page);
+    res.json({ success: true, data, total: countRes.rows[0].total, next_cursor });
   } catch (err) {
     console.error(err);
     res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
@@ -51,7 +147,8 @@ router.get("/:id", param("id").isInt(), async (req, res) => {
 
     const stats = await pool.query(
       `
-      SELECT COUNT(id)::int AS total_attendees, COUNT(CASE WHEN checked_in THEN 1 END)::int AS checked_in_count
+      SELECT COUNT(id)::int AS total_attendees, COUNT(CASE WHEN checked_in THEN 1 END)::int AS checked_in_count,
+        COUNT(CASE WHEN waitlist_position IS NOT NULL THEN 1 END)::int AS waitlist_count
       FROM attendees WHERE event_id = $1
     `,
       [req.params.id],
@@ -67,55 +164,68 @@ router.get("/:id", param("id").isInt(), async (req, res) => {
   }
 });
 
-// POST verify password for a protected event — returns a JWT on success
+// POST verify password for a protected event — returns a JWT on success.
+// The main password yields a coordinator (or admin) token, the volunteer
+// password a check-in-only token.
 router.post("/:id/verify-password", param("id").isInt(), async (req, res) => {
   const { password } = req.body;
   try {
     const result = await pool.query(
-      "SELECT password_hash FROM events WHERE id = $1",
+      "SELECT owner_id, password_hash, checkin_password_hash FROM events WHERE id = $1",
       [req.params.id],
     );
     if (result.rows.length === 0)
       return res.status(404).json({ success: false, code: "EVENT_NOT_FOUND", message: "Event not found" });
 
-    const { password_hash } = result.rows[0];
+    const event = result.rows[0];
+    let role = null;
 
-    if (password_hash) {
-      if (!password)
-        return res.status(401).json({ success: false, code: "PASSWORD_REQUIRED", message: "Password required" });
-
-      const match = await bcrypt.compare(password, password_hash);
-      if (!match)
-        return res.status(401).json({ success: false, code: "PASSWORD_INCORRECT", message: "Incorrect password" });
+    if (password && event.password_hash && (await bcrypt.compare(password, event.password_hash))) {
+      role = passwordRole(event);
+    } else if (
+      password &&
+      event.checkin_password_hash &&
+      (await bcrypt.compare(password, event.checkin_password_hash))
+    ) {
+      role = "checkin";
+    } else if (!event.password_hash) {
+      role = passwordRole(event);
+    } else if (!password) {
+      return res.status(401).json({ success: false, code: "PASSWORD_REQUIRED", message: "Password required" });
+    } else {
+      return res.status(401).json({ success: false, code: "PASSWORD_INCORRECT", message: "Incorrect password" });
     }
 
     const token = jwt.sign(
-      { eventId: parseInt(req.params.id) },
+      { eventId: parseInt(req.params.id), role },
       JWT_SECRET,
       { expiresIn: TOKEN_TTL },
     );
-    res.json({ success: true, code: "AUTH_OK", message: "AUTH_OK", token });
+    res.json({ success: true, code: "AUTH_OK", message: "AUTH_OK", token, role });
   } catch (err) {
     console.error(err);
     res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
   }
 });
 
-// POST create event — only name required
+// POST create event — only name required; the caller becomes the owner
 router.post(
   "/",
+  requireUser,
+  idempotent,
   body("name").notEmpty().trim().withMessage("Event name is required"),
   body("date").optional({ checkFalsy: true }).isDate(),
   body("time").optional({ checkFalsy: true }),
   body("location").optional({ checkFalsy: true }).trim(),
   body("description").optional({ checkFalsy: true }).trim(),
   body("password").optional({ checkFalsy: true }),
+  body("capacity").optional({ nullable: true }).isInt({ min: 1 }).toInt(),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty())
       return res.status(400).json({ success: false, errors: errors.array() });
 
-    const { name, date, time, location, description, password } = req.body;
+    const { name, date, time, location, description, password, capacity } = req.body;
     try {
       let password_hash = null;
       if (password && password.trim()) {
@@ -123,8 +233,8 @@ router.post(
       }
 
       const result = await pool.query(
-        `INSERT INTO events (name, date, time, location, description, password_hash)
-         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        `INSERT INTO events (name, date, time, location, description, password_hash, owner_id, capacity)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
         [
           name,
           date || null,
@@ -132,6 +242,8 @@ router.post(
           location || null,
           description || null,
           password_hash,
+          req.user.id,
+          capacity ?? null,
         ],
       );
       res.status(201).json({ success: true, data: sanitize(result.rows[0]) });
@@ -147,10 +259,15 @@ router.put(
   "/:id",
   param("id").isInt(),
   requireEventAccess,
+  requirePermission("event:manage"),
+  idempotent,
   body("name").notEmpty().trim().withMessage("Event name is required"),
   body("date").optional({ checkFalsy: true }).isDate(),
   body("password").optional({ checkFalsy: true }),
   body("remove_password").optional().isBoolean(),
+  body("checkin_password").optional({ checkFalsy: true }),
+  body("remove_checkin_password").optional().isBoolean(),
+  body("capacity").optional({ nullable: true }).isInt({ min: 1 }).toInt(),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty())
@@ -164,18 +281,25 @@ router.put(
       description,
       password,
       remove_password,
+      checkin_password,
+      remove_checkin_password,
+      capacity,
     } = req.body;
+    const client = await pool.connect();
     try {
-      // Fetch current hash
-      const current = await pool.query(
-        "SELECT password_hash FROM events WHERE id = $1",
+      await client.query("BEGIN");
+
+      // Fetch current hashes
+      const current = await client.query(
+        "SELECT password_hash, checkin_password_hash, capacity FROM events WHERE id = $1 FOR UPDATE",
         [req.params.id],
       );
-      if (current.rows.length === 0)
+      if (current.rows.length === 0) {
+        await client.query("ROLLBACK");
         return res
           .status(404)
           .json({ success: false, code: "EVENT_NOT_FOUND", message: "Event not found" });
-
+      }
       let password_hash = current.rows[0].password_hash;
       if (remove_password) {
         password_hash = null;
@@ -183,9 +307,18 @@ router.put(
         password_hash = await bcrypt.hash(password.trim(), 10);
       }
 
-      const result = await pool.query(
-        `UPDATE events SET name=$1, date=$2, time=$3, location=$4, description=$5, password_hash=$6, updated_at=NOW()
-         WHERE id=$7 RETURNING *`,
+      let checkin_password_hash = current.rows[0].checkin_password_hash;
+      if (remove_checkin_password) {
+        checkin_password_hash = null;
+      } else if (checkin_password && checkin_password.trim()) {
+        checkin_password_hash = await bcrypt.hash(checkin_password.trim(), 10);
+      }
+
+      // Omitting capacity keeps it; null removes it
+      const result = await client.query(
+        `UPDATE events SET name=$1, date=$2, time=$3, location=$4, description=$5, password_hash=$6,
+           checkin_password_hash=$7, capacity=$8, updated_at=NOW()
+         WHERE id=$9 RETURNING *`,
         [
           name,
           date || null,
@@ -193,19 +326,101 @@ router.put(
           location || null,
           description || null,
           password_hash,
+          checkin_password_hash,
+          capacity === undefined ? current.rows[0].capacity : capacity,
           req.params.id,
         ],
       );
+
+      // A raised or removed capacity seats the front of the waitlist
+      const promoted = await promoteFromWaitlist(client, req, req.params.id);
+      await client.query("COMMIT");
+
+      if (promoted.length > 0)
+        emitToEvent(req, req.params.id, "attendees:promoted", {
+          eventId: parseInt(req.params.id),
+          attendees: promoted,
+          stats: await getEventStats(req.params.id),
+        });
+
       res.json({ success: true, data: sanitize(result.rows[0]) });
     } catch (err) {
+      await client.query("ROLLBACK");
       console.error(err);
       res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    } finally {
+      client.release();
+    }
+  },
+);
+
+// PUT public self-registration settings. `capacity` is the event's capacity,
+// as on PUT /:id: omit it to keep it, null removes it; registrations past it
+// join the waitlist. `deadline` closes the form at that time; likewise omit it
+// to keep it, null clears it.
+router.put(
+  "/:id/registration",
+  param("id").isInt(),
+  requireEventAccess,
+  requirePermission("event:manage"),
+  idempotent,
+  body("open").isBoolean().toBoolean(),
+  body("capacity").optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body("deadline").optional({ nullable: true }).isISO8601(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { open, capacity, deadline } = req.body;
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await client.query(
+        `UPDATE events SET registration_open = $1, capacity = CASE WHEN $2 THEN $3 ELSE capacity END,
+           registration_deadline = CASE WHEN $4 THEN $5 ELSE registration_deadline END,
+           updated_at = NOW()
+         WHERE id = $6 RETURNING *`,
+        [
+          open,
+          capacity !== undefined,
+          capacity ?? null,
+          deadline !== undefined,
+          deadline || null,
+          req.params.id,
+        ],
+      );
+      if (result.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res
+          .status(404)
+          .json({ success: false, code: "EVENT_NOT_FOUND", message: "Event not found" });
+      }
+
+      // A raised or removed capacity seats the front of the waitlist
+      const promoted = await promoteFromWaitlist(client, req, req.params.id);
+      await client.query("COMMIT");
+
+      if (promoted.length > 0)
+        emitToEvent(req, req.params.id, "attendees:promoted", {
+          eventId: parseInt(req.params.id),
+          attendees: promoted,
+          stats: await getEventStats(req.params.id),
+        });
+
+      res.json({ success: true, data: sanitize(result.rows[0]) });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    } finally {
+      client.release();
     }
   },
 );
 
 // PATCH finish event — marks event as finished, blocking further check-ins
-router.patch("/:id/finish", param("id").isInt(), requireEventAccess, async (req, res) => {
+router.patch("/:id/finish", param("id").isInt(), requireEventAccess, requirePermission("event:run"), idempotent, async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty())
     return res.status(400).json({ success: false, errors: errors.array() });
@@ -234,7 +449,7 @@ router.patch("/:id/finish", param("id").isInt(), requireEventAccess, async (req,
 });
 
 // PATCH restart event — re-opens a finished event for check-in
-router.patch("/:id/restart", param("id").isInt(), requireEventAccess, async (req, res) => {
+router.patch("/:id/restart", param("id").isInt(), requireEventAccess, requirePermission("event:run"), idempotent, async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty())
     return res.status(400).json({ success: false, errors: errors.array() });
@@ -262,8 +477,264 @@ router.patch("/:id/restart", param("id").isInt(), requireEventAccess, async (req
   }
 });
 
+// POST claim an event created before organizer accounts existed.
+// Body: { event_token } — an admin token for this event from verify-password,
+// so only whoever runs the event can claim it, with or without a password.
+router.post(
+  "/:id/claim",
+  param("id").isInt(),
+  requireUser,
+  idempotent,
+  body("event_token").isString().notEmpty(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    try {
+      const current = await pool.query("SELECT * FROM events WHERE id = $1", [req.params.id]);
+      if (current.rows.length === 0)
+        return res.status(404).json({ success: false, code: "EVENT_NOT_FOUND", message: "Event not found" });
+
+      if (current.rows[0].owner_id)
+        return res.status(409).json({ success: false, code: "EVENT_ALREADY_OWNED", message: "Event already has an owner" });
+
+      const access = await verifyEventToken(req.body.event_token, req.params.id);
+      if (!access.payload)
+        return res.status(403).json({ success: false, code: access.code, message: access.message });
+      if (!can(access.role, "event:manage"))
+        return res.status(403).json({
+          success: false,
+          code: "FORBIDDEN_ROLE",
+          message: "Your role does not allow this action.",
+          role: access.role,
+          permission: "event:manage",
+        });
+
+      // owner_id IS NULL guards against two organizers claiming at once
+      const result = await pool.query(
+        `UPDATE events SET owner_id = $1, updated_at = NOW()
+         WHERE id = $2 AND owner_id IS NULL RETURNING *`,
+        [req.user.id, req.params.id],
+      );
+      if (result.rows.length === 0)
+        return res.status(409).json({ success: false, code: "EVENT_ALREADY_OWNED", message: "Event already has an owner" });
+
+      res.json({ success: true, data: sanitize(result.rows[0]) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// GET organizers with access to the event (owner first)
+router.get("/:id/members", param("id").isInt(), requireEventAccess, requirePermission("event:run"), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty())
+    return res.status(400).json({ success: false, errors: errors.array() });
+
+  try {
+    const result = await pool.query(
+      `
+      SELECT u.id, u.email, u.name, TRUE AS is_owner, 'admin' AS role, e.created_at AS added_at
+      FROM events e JOIN users u ON u.id = e.owner_id
+      WHERE e.id = $1
+      UNION ALL
+      SELECT u.id, u.email, u.name, FALSE AS is_owner, m.role, m.created_at AS added_at
+      FROM event_members m JOIN users u ON u.id = m.user_id
+      WHERE m.event_id = $1
+      ORDER BY is_owner DESC, added_at ASC
+    `,
+      [req.params.id],
+    );
+    res.json({ success: true, data: result.rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+  }
+});
+
+// POST invite a registered organizer to the event (owner only)
+router.post(
+  "/:id/members",
+  param("id").isInt(),
+  requireUser,
+  idempotent,
+  body("email").isEmail().normalizeEmail(),
+  body("role").optional().isIn(ROLES),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    try {
+      const event = await loadOwnedEvent(req, res);
+      if (!event) return;
+
+      const userRes = await pool.query("SELECT id, email, name FROM users WHERE email = $1", [
+        req.body.email,
+      ]);
+      if (userRes.rows.length === 0)
+        return res.status(404).json({ success: false, code: "USER_NOT_FOUND", message: "No organizer with that email" });
+
+      const member = userRes.rows[0];
+      if (member.id === event.owner_id)
+        return res.status(409).json({ success: false, code: "ALREADY_MEMBER", message: "User already has access" });
+
+      const role = req.body.role || "coordinator";
+      const result = await pool.query(
+        `INSERT INTO event_members (event_id, user_id, role) VALUES ($1, $2, $3)
+         ON CONFLICT DO NOTHING RETURNING created_at`,
+        [event.id, member.id, role],
+      );
+      if (result.rows.length === 0)
+        return res.status(409).json({ success: false, code: "ALREADY_MEMBER", message: "User already has access" });
+
+      res.status(201).json({
+        success: true,
+        data: { ...member, is_owner: false, role, added_at: result.rows[0].created_at },
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// PATCH change an invited organizer's role (owner only)
+router.patch(
+  "/:id/members/:userId",
+  param("id").isInt(),
+  param("userId").isInt(),
+  requireUser,
+  idempotent,
+  body("role").isIn(ROLES),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    try {
+      const event = await loadOwnedEvent(req, res);
+      if (!event) return;
+
+      const result = await pool.query(
+        `UPDATE event_members SET role = $1 WHERE event_id = $2 AND user_id = $3
+         RETURNING user_id AS id, role, created_at AS added_at`,
+        [req.body.role, event.id, req.params.userId],
+      );
+      if (result.rows.length === 0)
+        return res.status(404).json({ success: false, code: "MEMBER_NOT_FOUND", message: "Member not found" });
+
+      res.json({ success: true, data: { ...result.rows[0], is_owner: false } });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// POST issue a check-in-only token for a volunteer, shared as a link
+router.post(
+  "/:id/volunteer-link",
+  param("id").isInt(),
+  requireEventAccess,
+  requirePermission("event:run"),
+  idempotent,
+  body("expires_in_hours").optional().isInt({ min: 1, max: VOLUNTEER_LINK_MAX_HOURS }).toInt(),
+  body("label").optional({ checkFalsy: true }).trim().isLength({ max: 100 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const hours = req.body.expires_in_hours || VOLUNTEER_LINK_DEFAULT_HOURS;
+    const token = jwt.sign(
+      { eventId: parseInt(req.params.id), role: "checkin", label: req.body.label || null },
+      JWT_SECRET,
+      { expiresIn: `${hours}h` },
+    );
+
+    res.status(201).json({
+      success: true,
+      code: "VOLUNTEER_LINK_CREATED",
+      message: "VOLUNTEER_LINK_CREATED",
+      token,
+      role: "checkin",
+      expires_at: new Date(Date.now() + hours * 3600 * 1000).toISOString(),
+    });
+  },
+);
+
+// POST issue a kiosk token for an unattended self-check-in tablet. It only
+// reaches the /kiosk routes; kiosk_id identifies the tablet for rate limiting.
+router.post(
+  "/:id/kiosk-link",
+  param("id").isInt(),
+  requireEventAccess,
+  requirePermission("event:run"),
+  idempotent,
+  body("expires_in_hours").optional().isInt({ min: 1, max: VOLUNTEER_LINK_MAX_HOURS }).toInt(),
+  body("label").optional({ checkFalsy: true }).trim().isLength({ max: 100 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const hours = req.body.expires_in_hours || VOLUNTEER_LINK_DEFAULT_HOURS;
+    const kioskId = crypto.randomUUID();
+    const token = jwt.sign(
+      { eventId: parseInt(req.params.id), role: KIOSK_ROLE, label: req.body.label || null, kioskId },
+      JWT_SECRET,
+      { expiresIn: `${hours}h` },
+    );
+
+    res.status(201).json({
+      success: true,
+      code: "KIOSK_LINK_CREATED",
+      message: "KIOSK_LINK_CREATED",
+      token,
+      role: KIOSK_ROLE,
+      kiosk_id: kioskId,
+      expires_at: new Date(Date.now() + hours * 3600 * 1000).toISOString(),
+    });
+  },
+);
+
+// DELETE remove an invited organizer (owner only)
+router.delete(
+  "/:id/members/:userId",
+  param("id").isInt(),
+  param("userId").isInt(),
+  requireUser,
+  idempotent,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    try {
+      const event = await loadOwnedEvent(req, res);
+      if (!event) return;
+
+      const result = await pool.query(
+        "DELETE FROM event_members WHERE event_id = $1 AND user_id = $2 RETURNING *",
+        [event.id, req.params.userId],
+      );
+      if (result.rows.length === 0)
+        return res.status(404).json({ success: false, code: "MEMBER_NOT_FOUND", message: "Member not found" });
+
+      res.json({ success: true, code: "MEMBER_REMOVED", message: "MEMBER_REMOVED" });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
 // DELETE event
-router.delete("/:id", param("id").isInt(), requireEventAccess, async (req, res) => {
+router.delete("/:id", param("id").isInt(), requireEventAccess, requirePermission("event:manage"), idempotent, async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty())
     return res.status(400).json({ success: false, errors: errors.array() });
@@ -0,0 +1,185 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const pool = require("../db");
+const { body, param, validationResult } = require("express-validator");
+const { requireEventAccess, requirePermission } = require("../middleware/auth");
+const { FIELD_TYPES, RESERVED_KEYS, slugifyKey } = require("../customFields");
+
+const OPTION_TYPES = ["select", "multiselect"];
+
+// Helper: options must be a non-empty list of distinct strings for (multi)select
+function checkOptions(type, options) {
+  if (!OPTION_TYPES.includes(type)) return null;
+  if (!Array.isArray(options) || options.length === 0)
+    return "options are required for select fields";
+  const cleaned = options.map((o) => (o ?? "").toString().trim()).filter(Boolean);
+  if (cleaned.length !== options.length) return "options must be non-empty strings";
+  if (new Set(cleaned.map((o) => o.toLowerCase())).size !== cleaned.length)
+    return "options must be unique";
+  return null;
+}
+
+// ─── GET custom fields for the event ─────────────────────────────────────────
+router.get("/", requireEventAccess, requirePermission("attendees:read"), async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT * FROM event_fields WHERE event_id = $1 ORDER BY position ASC, id ASC",
+      [req.params.eventId],
+    );
+    res.json({ success: true, data: result.rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+  }
+});
+
+// ─── POST create custom field ────────────────────────────────────────────────
+router.post(
+  "/",
+  requireEventAccess,
+  requirePermission("event:run"),
+  body("label").notEmpty().trim().isLength({ max: 100 }),
+  body("key").optional({ checkFalsy: true }).trim().matches(/^[a-z0-9_]{1,50}$/),
+  body("type").isIn(FIELD_TYPES),
+  body("required").optional().isBoolean().toBoolean(),
+  body("options").optional({ nullable: true }).isArray(),
+  body("position").optional().isInt().toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId } = req.params;
+    const { label, type, required, options, position } = req.body;
+    const key = req.body.key || slugifyKey(label);
+
+    if (!key || RESERVED_KEYS.includes(key))
+      return res
+        .status(400)
+        .json({ success: false, code: "INVALID_FIELD_KEY", message: "Field key is empty or reserved" });
+
+    const optionsError = checkOptions(type, options);
+    if (optionsError)
+      return res.status(400).json({ success: false, code: "INVALID_OPTIONS", message: optionsError });
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO event_fields (event_id, key, label, type, required, options, position)
+         VALUES ($1, $2, $3, $4, $5, $6,
+           COALESCE($7, (SELECT COALESCE(MAX(position), 0) + 1 FROM event_fields WHERE event_id = $1)))
+         ON CONFLICT (event_id, key) DO NOTHING RETURNING *`,
+        [
+          eventId,
+          key,
+          label,
+          type,
+          !!required,
+          OPTION_TYPES.includes(type) ? JSON.stringify(options.map((o) => o.toString().trim())) : null,
+          position ?? null,
+        ],
+      );
+      if (result.rows.length === 0)
+        return res
+          .status(409)
+          .json({ success: false, code: "FIELD_KEY_TAKEN", message: "A field with this key already exists" });
+
+      res.status(201).json({ success: true, data: result.rows[0] });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// ─── PUT update custom field — the key is fixed once created ─────────────────
+router.put(
+  "/:fieldId",
+  requireEventAccess,
+  requirePermission("event:run"),
+  param("fieldId").isInt(),
+  body("label").notEmpty().trim().isLength({ max: 100 }),
+  body("type").isIn(FIELD_TYPES),
+  body("required").optional().isBoolean().toBoolean(),
+  body("options").optional({ nullable: true }).isArray(),
+  body("position").optional().isInt().toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId, fieldId } = req.params;
+    const { label, type, required, options, position } = req.body;
+
+    const optionsError = checkOptions(type, options);
+    if (optionsError)
+      return res.status(400).json({ success: false, code: "INVALID_OPTIONS", message: optionsError });
+
+    try {
+      const result = await pool.query(
+        `UPDATE event_fields
+         SET label = $1, type = $2, required = $3, options = $4,
+             position = COALESCE($5, position), updated_at = NOW()
+         WHERE id = $6 AND event_id = $7 RETURNING *`,
+        [
+          label,
+          type,
+          !!required,
+          OPTION_TYPES.includes(type) ? JSON.stringify(options.map((o) => o.toString().trim())) : null,
+          position ?? null,
+          fieldId,
+          eventId,
+        ],
+      );
+      if (result.rows.length === 0)
+        return res.status(404).json({ success: false, code: "FIELD_NOT_FOUND", message: "Field not found" });
+
+      res.json({ success: true, data: result.rows[0] });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// ─── DELETE custom field — also removes its stored values ────────────────────
+router.delete(
+  "/:fieldId",
+  requireEventAccess,
+  requirePermission("event:run"),
+  param("fieldId").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId, fieldId } = req.params;
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await client.query(
+        "DELETE FROM event_fields WHERE id = $1 AND event_id = $2 RETURNING *",
+        [fieldId, eventId],
+      );
+      if (result.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ success: false, code: "FIELD_NOT_FOUND", message: "Field not found" });
+      }
+
+      await client.query(
+        "UPDATE attendees SET custom_fields = custom_fields - $1 WHERE event_id = $2 AND custom_fields ? $1",
+        [result.rows[0].key, eventId],
+      );
+      await client.query("COMMIT");
+
+      res.json({ success: true, code: "FIELD_DELETED", message: "FIELD_DELETED" });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    } finally {
+      client.release();
+    }
+  },
+);
+
+module.exports = router;
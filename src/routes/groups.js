@@ -0,0 +1,319 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const pool = require("../db");
+const { body, param, validationResult } = require("express-validator");
+const { requireEventAccess, requirePermission } = require("../middleware/auth");
+const { recordAttendeeEvent } = require("../audit");
+const { getEventStats, emitToEvent } = require("../broadcast");
+const { bulkCheckIn } = require("../checkin");
+const { loadGroup } = require("../groups");
+
+// Helper: Postgres unique violation, i.e. another group already has the name
+const isDuplicateName = (err) => err.code === "23505";
+
+const groupExists = (res) =>
+  res.status(409).json({
+    success: false,
+    code: "GROUP_EXISTS",
+    message: "A group with this name already exists",
+  });
+
+const groupNotFound = (res) =>
+  res.status(404).json({ success: false, code: "GROUP_NOT_FOUND", message: "Group not found" });
+
+// Helper: makes `attendeeIds` the group's members, unlinking anyone not listed.
+// Members move over from any other group. Resolves the ids that are not
+// attendees of the event (nothing is changed then) or null on success.
+async function setMembers(db, eventId, groupId, attendeeIds) {
+  const found = await db.query(
+    "SELECT id FROM attendees WHERE event_id = $1 AND id = ANY($2::int[])",
+    [eventId, attendeeIds],
+  );
+  if (found.rows.length !== attendeeIds.length) {
+    const known = new Set(found.rows.map((row) => row.id));
+    return attendeeIds.filter((id) => !known.has(id));
+  }
+
+  await db.query(
+    `UPDATE attendees SET group_id = NULL, updated_at = NOW()
+     WHERE group_id = $1 AND NOT (id = ANY($2::int[]))`,
+    [groupId, attendeeIds],
+  );
+  await db.query(
+    `UPDATE attendees SET group_id = $1, updated_at = NOW()
+     WHERE event_id = $2 AND id = ANY($3::int[]) AND group_id IS DISTINCT FROM $1`,
+    [groupId, eventId, attendeeIds],
+  );
+  return null;
+}
+
+// Broadcasts the group as it now is, members included
+async function broadcastGroup(req, eventId, groupId) {
+  const group = await loadGroup(eventId, groupId);
+  const stats = await getEventStats(eventId);
+  emitToEvent(req, eventId, "group:updated", { eventId: parseInt(eventId), group, stats });
+  return group;
+}
+
+// ─── GET groups with member and check-in counts ───────────────────────────────
+router.get("/", requireEventAccess, requirePermission("attendees:read"), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `
+      SELECT g.*,
+        COUNT(a.id)::int AS member_count,
+        COUNT(CASE WHEN a.checked_in THEN 1 END)::int AS checked_in_count
+      FROM attendee_groups g
+      LEFT JOIN attendees a ON a.group_id = g.id
+      WHERE g.event_id = $1
+      GROUP BY g.id
+      ORDER BY LOWER(g.name) ASC, g.id ASC
+    `,
+      [req.params.eventId],
+    );
+    res.json({ success: true, data: result.rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+  }
+});
+
+// ─── GET group with its members ───────────────────────────────────────────────
+// ?session_id= reports members' check-ins for that session
+router.get(
+  "/:groupId",
+  requireEventAccess,
+  requirePermission("attendees:read"),
+  param("groupId").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    try {
+      const group = await loadGroup(req.params.eventId, req.params.groupId, {
+        sessionId: parseInt(req.query.session_id) || null,
+      });
+      if (!group) return groupNotFound(res);
+      res.json({ success: true, data: group });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// ─── POST create group ────────────────────────────────────────────────────────
+// Body: { name, attendee_ids: [...] } — attendee_ids is optional
+router.post(
+  "/",
+  requireEventAccess,
+  requirePermission("attendees:write"),
+  body("name").notEmpty().trim().isLength({ max: 255 }),
+  body("attendee_ids").optional().isArray(),
+  body("attendee_ids.*").isInt().toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId } = req.params;
+    const attendeeIds = [...new Set(req.body.attendee_ids || [])];
+
+    const client = await pool.connect();
+    let created;
+    try {
+      await client.query("BEGIN");
+      const result = await client.query(
+        "INSERT INTO attendee_groups (event_id, name) VALUES ($1, $2) RETURNING *",
+        [eventId, req.body.name],
+      );
+      created = result.rows[0];
+
+      const missing = await setMembers(client, eventId, created.id, attendeeIds);
+      if (missing) {
+        await client.query("ROLLBACK");
+        return res
+          .status(404)
+          .json({ success: false, code: "ATTENDEE_NOT_FOUND", message: "Attendee not found", missing });
+      }
+
+      await recordAttendeeEvent(client, req, {
+        eventId,
+        action: "group_create",
+        after: { ...created, attendee_ids: attendeeIds },
+      });
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      if (isDuplicateName(err)) return groupExists(res);
+      console.error(err);
+      return res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    } finally {
+      client.release();
+    }
+
+    try {
+      const group = await broadcastGroup(req, eventId, created.id);
+      res.status(201).json({ success: true, data: group });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// ─── PATCH rename group or replace its members ────────────────────────────────
+// Body: { name, attendee_ids: [...] } — both optional; attendee_ids is the
+// complete member list, so members left out are removed from the group
+router.patch(
+  "/:groupId",
+  requireEventAccess,
+  requirePermission("attendees:write"),
+  param("groupId").isInt(),
+  body("name").optional().notEmpty().trim().isLength({ max: 255 }),
+  body("attendee_ids").optional().isArray(),
+  body("attendee_ids.*").isInt().toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId, groupId } = req.params;
+    const { name } = req.body;
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const before = await loadGroup(eventId, groupId, { db: client });
+      if (!before) {
+        await client.query("ROLLBACK");
+        return groupNotFound(res);
+      }
+
+      if (name !== undefined) {
+        await client.query(
+          "UPDATE attendee_groups SET name = $1, updated_at = NOW() WHERE id = $2",
+          [name, groupId],
+        );
+      }
+
+      if (req.body.attendee_ids) {
+        const attendeeIds = [...new Set(req.body.attendee_ids)];
+        const missing = await setMembers(client, eventId, before.id, attendeeIds);
+        if (missing) {
+          await client.query("ROLLBACK");
+          return res
+            .status(404)
+            .json({ success: false, code: "ATTENDEE_NOT_FOUND", message: "Attendee not found", missing });
+        }
+      }
+
+      await recordAttendeeEvent(client, req, {
+        eventId,
+        action: "group_update",
+        before: { ...before, members: undefined, attendee_ids: before.members.map((m) => m.id) },
+        after: { name: name ?? before.name, attendee_ids: req.body.attendee_ids },
+      });
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      if (isDuplicateName(err)) return groupExists(res);
+      console.error(err);
+      return res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    } finally {
+      client.release();
+    }
+
+    try {
+      const group = await broadcastGroup(req, eventId, groupId);
+      res.json({ success: true, data: group });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// ─── DELETE group — members stay, ungrouped ───────────────────────────────────
+router.delete(
+  "/:groupId",
+  requireEventAccess,
+  requirePermission("attendees:write"),
+  param("groupId").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId, groupId } = req.params;
+    try {
+      const before = await loadGroup(eventId, groupId);
+      if (!before) return groupNotFound(res);
+
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        await client.query("DELETE FROM attendee_groups WHERE id = $1", [groupId]);
+        await recordAttendeeEvent(client, req, {
+          eventId,
+          action: "group_delete",
+          before: { ...before, members: undefined, attendee_ids: before.members.map((m) => m.id) },
+        });
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
+
+      const stats = await getEventStats(eventId);
+      emitToEvent(req, eventId, "group:deleted", {
+        eventId: parseInt(eventId),
+        groupId: parseInt(groupId),
+        stats,
+      });
+
+      res.json({ success: true, code: "GROUP_DELETED", message: "GROUP_DELETED" });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// ─── POST check in the whole group ────────────────────────────────────────────
+// Body: { session_id } — required for events with sessions. Answers like
+// POST /attendees/bulk-checkin; the broadcast carries the groupId.
+router.post(
+  "/:groupId/checkin",
+  requireEventAccess,
+  requirePermission("attendees:checkin"),
+  param("groupId").isInt(),
+  body("session_id").optional({ nullable: true }).isInt().toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId, groupId } = req.params;
+    try {
+      const group = await loadGroup(eventId, groupId);
+      if (!group) return groupNotFound(res);
+
+      const { status, body: payload } = await bulkCheckIn(
+        req,
+        eventId,
+        group.members.map((m) => m.id),
+        { sessionId: req.body.session_id, groupId: group.id },
+      );
+      res.status(status).json(payload);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+module.exports = router;
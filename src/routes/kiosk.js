@@ -0,0 +1,180 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const pool = require("../db");
+const { body, validationResult } = require("express-validator");
+const { requireEventAccess, requirePermission } = require("../middleware/auth");
+const { checkInAttendee } = require("../checkin");
+const { isValidTicketCode } = require("../tickets");
+const { rateLimit } = require("../rateLimit");
+const { toE164 } = require("../normalize");
+
+// Lookups and check-ins one kiosk may make per minute — enough for a queue at
+// the door, far too few to walk the attendee list by guessing numbers
+const KIOSK_WINDOW_MS = 60 * 1000;
+const KIOSK_MAX_PER_WINDOW = 30;
+
+// A phone shared by a household returns each member; more is not a kiosk lookup
+const MAX_MATCHES = 10;
+
+// Counted per kiosk token; staff tokens trying the kiosk are counted per IP
+const kioskLimit = rateLimit({
+  windowMs: KIOSK_WINDOW_MS,
+  max: KIOSK_MAX_PER_WINDOW,
+  key: (req) => `${req.params.eventId}:${req.auth.kioskId || req.ip}`,
+});
+
+// "Yohanes Budi Santoso" → "Yohanes B. S."
+function maskName(name) {
+  const [first, ...rest] = (name || "").trim().split(/\s+/);
+  return [first, ...rest.map((word) => `${word[0].toUpperCase()}.`)].join(" ");
+}
+
+// Only the last four digits, enough for someone to recognise their own number
+function maskPhone(attendee) {
+  const digits = (attendee.phone_e164 || attendee.phone_number || "").replace(/\D/g, "");
+  return digits ? `****${digits.slice(-4)}` : null;
+}
+
+// The kiosk's view of an attendee: no contact details, custom fields or ids
+// beyond what the check-in needs
+function maskAttendee(attendee) {
+  return {
+    id: attendee.id,
+    name: maskName(attendee.name),
+    phone: maskPhone(attendee),
+    checked_in: !!attendee.checked_in,
+  };
+}
+
+// Exactly one of phone / ticket_code identifies who is at the kiosk
+const lookupBody = [
+  body("phone").optional({ checkFalsy: true }).isString().trim(),
+  body("ticket_code").optional({ checkFalsy: true }).isString().trim(),
+  body().custom((value) => !!value.phone !== !!value.ticket_code).withMessage("Give either phone or ticket_code"),
+  body("session_id").optional({ nullable: true }).isInt().toInt(),
+];
+
+/**
+ * findMatches
+ *
+ * Attendees of the event with exactly this phone (compared in E.164) or
+ * ticket code. `checked_in` is for `sessionId` when given. Resolves
+ * { rows } or { error } as { status, body }.
+ */
+async function findMatches(eventId, { phone, ticket_code, session_id }) {
+  let match;
+  let value;
+  if (ticket_code) {
+    if (!isValidTicketCode(ticket_code)) {
+      return {
+        error: {
+          status: 400,
+          body: { success: false, code: "TICKET_INVALID", message: "Ticket code is not valid" },
+        },
+      };
+    }
+    match = "a.ticket_code = $2";
+    value = ticket_code;
+  } else {
+    value = toE164(phone);
+    if (!value) {
+      return {
+        error: {
+          status: 400,
+          body: { success: false, code: "INVALID_PHONE", message: "Invalid phone number" },
+        },
+      };
+    }
+    match = "a.phone_e164 = $2";
+  }
+
+  const result = await pool.query(
+    `SELECT a.id, a.name, a.phone_number, a.phone_e164,
+       CASE WHEN $3::int IS NULL THEN COALESCE(a.checked_in, FALSE)
+         ELSE EXISTS (SELECT 1 FROM session_checkins c WHERE c.attendee_id = a.id AND c.session_id = $3)
+       END AS checked_in
+     FROM attendees a
+     WHERE a.event_id = $1 AND ${match}
+     ORDER BY a.name ASC, a.id ASC
+     LIMIT ${MAX_MATCHES}`,
+    [eventId, value, session_id ?? null],
+  );
+  if (result.rows.length === 0) {
+    return {
+      error: {
+        status: 404,
+        body: { success: false, code: "KIOSK_NO_MATCH", message: "No registration found" },
+      },
+    };
+  }
+  return { rows: result.rows };
+}
+
+// ─── POST look up by exact phone or ticket code ───────────────────────────────
+// Body: { phone } or { ticket_code }, plus session_id for events with sessions.
+// Returns the masked attendees for the person to pick themselves from.
+router.post(
+  "/lookup",
+  requireEventAccess,
+  requirePermission("kiosk:checkin"),
+  kioskLimit,
+  ...lookupBody,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    try {
+      const { rows, error } = await findMatches(req.params.eventId, req.body);
+      if (error) return res.status(error.status).json(error.body);
+
+      res.json({ success: true, data: rows.map(maskAttendee) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// ─── POST check in from the kiosk ─────────────────────────────────────────────
+// Body: { attendee_id } plus the same phone / ticket_code used for the lookup,
+// so a kiosk can only check in someone whose number or ticket it was given.
+// Answers with the codes of PATCH /attendees/:attendeeId/checkin, masked.
+router.post(
+  "/checkin",
+  requireEventAccess,
+  requirePermission("kiosk:checkin"),
+  kioskLimit,
+  body("attendee_id").isInt().toInt(),
+  ...lookupBody,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId } = req.params;
+    try {
+      const { rows, error } = await findMatches(eventId, req.body);
+      if (error) return res.status(error.status).json(error.body);
+      if (!rows.some((row) => row.id === req.body.attendee_id))
+        return res.status(404).json({ success: false, code: "KIOSK_NO_MATCH", message: "No registration found" });
+
+      const { status, body: payload } = await checkInAttendee(req, eventId, req.body.attendee_id, {
+        sessionId: req.body.session_id,
+      });
+
+      // Check-in messages name the attendee in full; the kiosk gets the code only
+      res.status(status).json({
+        success: payload.success,
+        code: payload.code,
+        message: payload.code,
+        ...(payload.data ? { data: maskAttendee(payload.data) } : {}),
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+module.exports = router;
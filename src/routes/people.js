@@ -0,0 +1,190 @@
+const express = require("express");
+const router = express.Router();
+const pool = require("../db");
+const { body, param, validationResult } = require("express-validator");
+const { requireUser } = require("../middleware/auth");
+const { paginationQuery, keysetPage, finishPage } = require("../pagination");
+const { toE164, normalizeName, phoneSearchDigits } = require("../normalize");
+
+// Sort options for the directory
+const PEOPLE_SORTS = {
+  name: { expr: "LOWER(p.name)", type: "text" },
+  created_at: { expr: "COALESCE(p.created_at, '-infinity')", type: "timestamp", order: "desc" },
+};
+
+// Helper: the person if it is in the logged-in organizer's directory, else a 404
+async function loadPerson(req, res) {
+  const result = await pool.query("SELECT * FROM people WHERE id = $1 AND owner_id = $2", [
+    req.params.personId,
+    req.user.id,
+  ]);
+  if (result.rows.length === 0) {
+    res.status(404).json({ success: false, code: "PERSON_NOT_FOUND", message: "Person not found" });
+    return null;
+  }
+  return result.rows[0];
+}
+
+// ─── GET the organizer's directory ────────────────────────────────────────────
+// ?search= matches name, phone or email. Same ?limit= / ?cursor= / ?sort= /
+// ?order= paging as the attendee list. Each person carries how many events
+// they were registered for and how many they checked in to.
+router.get("/", requireUser, ...paginationQuery(Object.keys(PEOPLE_SORTS)), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty())
+    return res.status(400).json({ success: false, errors: errors.array() });
+
+  const { limit, sort, order, cursor, search } = req.query;
+
+  let where = "p.owner_id = $1";
+  const params = [req.user.id];
+  if (search && search.trim()) {
+    where += ` AND (f_unaccent(LOWER(p.name)) LIKE f_unaccent($2::text) OR LOWER(p.email) LIKE $2::text
+      OR ($3::text IS NOT NULL AND regexp_replace(COALESCE(p.phone_number, ''), '\\D', '', 'g') LIKE '%' || $3::text || '%'))`;
+    params.push(`%${search.toLowerCase().trim()}%`, phoneSearchDigits(search));
+  }
+
+  const page = keysetPage(PEOPLE_SORTS[sort || "name"], {
+    name: sort || "name",
+    order,
+    cursor,
+    nextParam: params.length + 1,
+    idColumn: "p.id",
+  });
+  if (page.error)
+    return res.status(400).json({ success: false, code: page.error, message: "Cursor is not valid" });
+
+  try {
+    const countRes = await pool.query(`SELECT COUNT(p.id)::int AS total FROM people p WHERE ${where}`, params);
+    const result = await pool.query(
+      `
+      SELECT p.*,
+        COUNT(a.id)::int AS events_count,
+        COUNT(CASE WHEN a.checked_in THEN 1 END)::int AS attended_count,
+        ${page.sortKey} AS sort_key
+      FROM people p
+      LEFT JOIN attendees a ON a.person_id = p.id
+      WHERE ${where}${page.condition ? ` AND ${page.condition}` : ""}
+      GROUP BY p.id
+      ORDER BY ${page.orderBy}
+      ${limit ? `LIMIT ${limit + 1}` : ""}
+    `,
+      [...params, ...page.params],
+    );
+
+    const { data, next_cursor } = finishPage(result.rows, limit, page);
+    res.json({ success: true, data, total: countRes.rows[0].total, next_cursor });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+  }
+});
+
+// ─── GET person with attendance history across events ─────────────────────────
+router.get("/:personId", requireUser, param("personId").isInt(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty())
+    return res.status(400).json({ success: false, errors: errors.array() });
+
+  try {
+    const person = await loadPerson(req, res);
+    if (!person) return;
+
+    const history = await pool.query(
+      `
+      SELECT e.id AS event_id, e.name AS event_name, e.date AS event_date, e.location,
+        a.id AS attendee_id, a.checked_in, a.checked_in_at, a.source,
+        (SELECT COUNT(*)::int FROM event_sessions s WHERE s.event_id = e.id) AS session_count,
+        (SELECT COUNT(*)::int FROM session_checkins c WHERE c.attendee_id = a.id) AS sessions_attended
+      FROM attendees a
+      JOIN events e ON e.id = a.event_id
+      WHERE a.person_id = $1
+      ORDER BY COALESCE(e.date, e.created_at::date) DESC, e.id DESC
+    `,
+      [person.id],
+    );
+
+    res.json({
+      success: true,
+      data: {
+        ...person,
+        events_count: history.rows.length,
+        attended_count: history.rows.filter((h) => h.checked_in).length,
+        attendance: history.rows,
+      },
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+  }
+});
+
+// ─── PATCH update a directory entry ───────────────────────────────────────────
+// Changes apply to future events; attendee rows already created keep their values
+router.patch(
+  "/:personId",
+  requireUser,
+  param("personId").isInt(),
+  body("name").notEmpty().trim(),
+  body("phone_number")
+    .optional({ checkFalsy: true })
+    .trim()
+    .custom((value) => toE164(value) !== null)
+    .withMessage("Invalid phone number"),
+  body("email").optional({ checkFalsy: true }).trim().isEmail().withMessage("Invalid email address"),
+  body("home_church").optional({ checkFalsy: true }).trim(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { name, phone_number, email, home_church } = req.body;
+    try {
+      const person = await loadPerson(req, res);
+      if (!person) return;
+
+      const result = await pool.query(
+        `UPDATE people
+         SET name = $1, name_key = $2, phone_number = $3, phone_e164 = $4, email = $5, home_church = $6,
+             updated_at = NOW()
+         WHERE id = $7 RETURNING *`,
+        [
+          name,
+          normalizeName(name),
+          phone_number || null,
+          toE164(phone_number),
+          email || null,
+          home_church || null,
+          person.id,
+        ],
+      );
+      res.json({ success: true, data: result.rows[0] });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// ─── DELETE a directory entry — attendee rows stay, unlinked ──────────────────
+router.delete("/:personId", requireUser, param("personId").isInt(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty())
+    return res.status(400).json({ success: false, errors: errors.array() });
+
+  try {
+    const result = await pool.query(
+      "DELETE FROM people WHERE id = $1 AND owner_id = $2 RETURNING id",
+      [req.params.personId, req.user.id],
+    );
+    if (result.rows.length === 0)
+      return res.status(404).json({ success: false, code: "PERSON_NOT_FOUND", message: "Person not found" });
+
+    res.json({ success: true, code: "PERSON_DELETED", message: "PERSON_DELETED" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+  }
+});
+
+module.exports = router;
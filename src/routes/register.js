@@ -0,0 +1,247 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const pool = require("../db");
+const { body, param, validationResult } = require("express-validator");
+const { recordAttendeeEvent } = require("../audit");
+const { getEventStats, emitToEvent } = require("../broadcast");
+const { linkPerson } = require("../people");
+const { rateLimit } = require("../rateLimit");
+const { seatAllocator } = require("../waitlist");
+const { toE164, normalizeName } = require("../normalize");
+const { loadEventFields, validateCustomValues } = require("../customFields");
+
+// Registrations one client (IP) may submit across all events per window
+const REGISTRATION_WINDOW_MS = 10 * 60 * 1000;
+const REGISTRATION_MAX_PER_WINDOW = 5;
+
+// Hidden form field that people leave empty and form-filling bots do not
+const HONEYPOT_FIELD = "website";
+
+// Helper: why an event with registration switched on does not accept
+// registrations right now, or null when it does. A full event stays open:
+// registrations past its capacity join the waitlist.
+function closedReason(event) {
+  if (event.is_finished) return "EVENT_FINISHED";
+  if (event.deadline_passed) return "REGISTRATION_DEADLINE_PASSED";
+  return null;
+}
+
+const CLOSED_MESSAGES = {
+  EVENT_FINISHED: "This event has been finished.",
+  REGISTRATION_DEADLINE_PASSED: "The registration deadline has passed.",
+};
+
+// Helper: the event with its registration settings, locked when `forUpdate`
+// so concurrent registrations of the same person find each other
+async function loadEvent(db, eventId, { forUpdate = false } = {}) {
+  const result = await db.query(
+    `SELECT e.*, (e.registration_deadline IS NOT NULL AND e.registration_deadline < NOW()) AS deadline_passed
+     FROM events e WHERE e.id = $1${forUpdate ? " FOR UPDATE" : ""}`,
+    [eventId],
+  );
+  return result.rows[0] || null;
+}
+
+// Helper: seats a registration would still get — none while anyone is
+// waiting, since nobody skips the line — or null without a capacity
+async function spotsLeft(db, event) {
+  if (event.capacity === null) return null;
+  const result = await db.query(
+    `SELECT COUNT(CASE WHEN waitlist_position IS NULL THEN 1 END)::int AS seated,
+       COUNT(waitlist_position)::int AS waiting
+     FROM attendees WHERE event_id = $1`,
+    [event.id],
+  );
+  const { seated, waiting } = result.rows[0];
+  return waiting > 0 ? 0 : Math.max(event.capacity - seated, 0);
+}
+
+// Helper: whether someone already registered for the event, matched like the
+// import duplicate check — E.164 phone, then email, then normalized name
+// when one side has no phone
+async function isRegistered(db, eventId, { name, phone_e164, email }) {
+  const result = await db.query(
+    `SELECT 1 FROM attendees
+     WHERE event_id = $1 AND (
+       ($2::text IS NOT NULL AND phone_e164 = $2)
+       OR ($3::text IS NOT NULL AND LOWER(email) = $3)
+       OR (regexp_replace(lower(name), '[^a-z0-9]', '', 'g') = $4 AND (phone_e164 IS NULL OR $2::text IS NULL))
+     )
+     LIMIT 1`,
+    [eventId, phone_e164, email ? email.toLowerCase() : null, normalizeName(name)],
+  );
+  return result.rows.length > 0;
+}
+
+// ─── GET public registration form ─────────────────────────────────────────────
+// No token needed. Returns what the form shows: event details, whether it is
+// accepting registrations (closed_reason says why not) and the custom fields.
+router.get("/", param("eventId").isInt(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty())
+    return res.status(400).json({ success: false, errors: errors.array() });
+
+  const { eventId } = req.params;
+  try {
+    const event = await loadEvent(pool, eventId);
+    if (!event || !event.registration_open)
+      return res
+        .status(404)
+        .json({ success: false, code: "REGISTRATION_NOT_FOUND", message: "Registration not found" });
+
+    const spots = await spotsLeft(pool, event);
+    const fields = await loadEventFields(eventId);
+    const reason = closedReason(event);
+
+    res.json({
+      success: true,
+      data: {
+        event: {
+          id: event.id,
+          name: event.name,
+          description: event.description,
+          date: event.date,
+          time: event.time,
+          location: event.location,
+        },
+        is_open: !reason,
+        closed_reason: reason,
+        deadline: event.registration_deadline,
+        capacity: event.capacity,
+        spots_left: spots,
+        fields: fields.map(({ key, label, type, required, options }) => ({
+          key,
+          label,
+          type,
+          required,
+          options,
+        })),
+      },
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+  }
+});
+
+// ─── POST register through the public form ────────────────────────────────────
+router.post(
+  "/",
+  rateLimit({ windowMs: REGISTRATION_WINDOW_MS, max: REGISTRATION_MAX_PER_WINDOW }),
+  param("eventId").isInt(),
+  body("name").notEmpty().trim().isLength({ max: 255 }),
+  body("phone_number")
+    .optional({ checkFalsy: true })
+    .trim()
+    .custom((value) => toE164(value) !== null)
+    .withMessage("Invalid phone number"),
+  body("email").optional({ checkFalsy: true }).trim().isEmail().withMessage("Invalid email address"),
+  body("home_church").optional({ checkFalsy: true }).trim().isLength({ max: 255 }),
+  body("custom_fields").optional().isObject(),
+  async (req, res) => {
+    // A filled-in honeypot is a bot: answer as if it worked and store nothing
+    if (req.body[HONEYPOT_FIELD])
+      return res.status(201).json({ success: true, code: "REGISTERED", message: "REGISTERED" });
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId } = req.params;
+    const { name, phone_number, email, home_church } = req.body;
+    const phone_e164 = toE164(phone_number);
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const event = await loadEvent(client, eventId, { forUpdate: true });
+      if (!event || !event.registration_open) {
+        await client.query("ROLLBACK");
+        return res
+          .status(404)
+          .json({ success: false, code: "REGISTRATION_NOT_FOUND", message: "Registration not found" });
+      }
+
+      const reason = closedReason(event);
+      if (reason) {
+        await client.query("ROLLBACK");
+        return res.status(403).json({ success: false, code: reason, message: CLOSED_MESSAGES[reason] });
+      }
+
+      const fields = await loadEventFields(eventId, client);
+      const custom = validateCustomValues(fields, req.body.custom_fields);
+      if (custom.errors.length > 0) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ success: false, code: "INVALID_CUSTOM_FIELDS", errors: custom.errors });
+      }
+
+      if (await isRegistered(client, eventId, { name, phone_e164, email })) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({
+          success: false,
+          code: "ALREADY_REGISTERED",
+          message: "You are already registered for this event.",
+        });
+      }
+
+      // Past the event's capacity the registration joins the waitlist
+      const nextSeat = await seatAllocator(client, eventId);
+      const link = await linkPerson(client, event.owner_id, {
+        name,
+        phone_number,
+        phone_e164,
+        email,
+        home_church,
+      });
+
+      const result = await client.query(
+        `INSERT INTO attendees
+           (event_id, name, phone_number, phone_e164, email, home_church, custom_fields, person_id,
+            source, waitlist_position)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'self', $9) RETURNING *`,
+        [
+          eventId,
+          name,
+          phone_number || null,
+          phone_e164,
+          email || null,
+          home_church || null,
+          JSON.stringify(custom.values),
+          link ? link.person.id : null,
+          nextSeat(),
+        ],
+      );
+      await recordAttendeeEvent(client, req, {
+        eventId,
+        attendeeId: result.rows[0].id,
+        action: "register",
+        after: result.rows[0],
+      });
+      await client.query("COMMIT");
+
+      const stats = await getEventStats(eventId);
+      emitToEvent(req, eventId, "attendee:added", {
+        eventId: parseInt(eventId),
+        attendee: result.rows[0],
+        stats,
+      });
+
+      const { waitlist_position } = result.rows[0];
+      res.status(201).json({
+        success: true,
+        code: waitlist_position === null ? "REGISTERED" : "WAITLISTED",
+        message: waitlist_position === null ? "REGISTERED" : "WAITLISTED",
+        waitlist_position,
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    } finally {
+      client.release();
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const pool = require("../db");
+const { body, param, validationResult } = require("express-validator");
+const { requireEventAccess, requirePermission } = require("../middleware/auth");
+const { getEventStats, emitToEvent } = require("../broadcast");
+const { syncAttendanceFromSessions } = require("../checkin");
+
+// Helper: a session window may be open-ended, but must not end before it starts
+function checkWindow(starts_at, ends_at) {
+  if (starts_at && ends_at && new Date(ends_at) <= new Date(starts_at))
+    return "ends_at must be after starts_at";
+  return null;
+}
+
+// ─── GET sessions with their check-in counts ──────────────────────────────────
+// is_open is true while NOW() is inside the session's time window
+router.get("/", requireEventAccess, requirePermission("attendees:read"), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `
+      SELECT s.*,
+        COUNT(c.attendee_id)::int AS checked_in_count,
+        (COALESCE(s.starts_at <= NOW(), TRUE) AND COALESCE(s.ends_at >= NOW(), TRUE)) AS is_open
+      FROM event_sessions s
+      LEFT JOIN session_checkins c ON c.session_id = s.id
+      WHERE s.event_id = $1
+      GROUP BY s.id
+      ORDER BY s.position ASC, s.id ASC
+    `,
+      [req.params.eventId],
+    );
+    res.json({ success: true, data: result.rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+  }
+});
+
+// ─── POST create session ──────────────────────────────────────────────────────
+router.post(
+  "/",
+  requireEventAccess,
+  requirePermission("event:run"),
+  body("name").notEmpty().trim().isLength({ max: 255 }),
+  body("starts_at").optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  body("ends_at").optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  body("position").optional().isInt().toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId } = req.params;
+    const { name, starts_at, ends_at, position } = req.body;
+
+    const windowError = checkWindow(starts_at, ends_at);
+    if (windowError)
+      return res.status(400).json({ success: false, code: "INVALID_SESSION_WINDOW", message: windowError });
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO event_sessions (event_id, name, starts_at, ends_at, position)
+         VALUES ($1, $2, $3, $4,
+           COALESCE($5, (SELECT COALESCE(MAX(position), 0) + 1 FROM event_sessions WHERE event_id = $1)))
+         RETURNING *`,
+        [eventId, name, starts_at || null, ends_at || null, position ?? null],
+      );
+      res.status(201).json({ success: true, data: result.rows[0] });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// ─── PUT update session ───────────────────────────────────────────────────────
+router.put(
+  "/:sessionId",
+  requireEventAccess,
+  requirePermission("event:run"),
+  param("sessionId").isInt(),
+  body("name").notEmpty().trim().isLength({ max: 255 }),
+  body("starts_at").optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  body("ends_at").optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  body("position").optional().isInt().toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId, sessionId } = req.params;
+    const { name, starts_at, ends_at, position } = req.body;
+
+    const windowError = checkWindow(starts_at, ends_at);
+    if (windowError)
+      return res.status(400).json({ success: false, code: "INVALID_SESSION_WINDOW", message: windowError });
+
+    try {
+      const result = await pool.query(
+        `UPDATE event_sessions
+         SET name = $1, starts_at = $2, ends_at = $3, position = COALESCE($4, position), updated_at = NOW()
+         WHERE id = $5 AND event_id = $6 RETURNING *`,
+        [name, starts_at || null, ends_at || null, position ?? null, sessionId, eventId],
+      );
+      if (result.rows.length === 0)
+        return res.status(404).json({ success: false, code: "SESSION_NOT_FOUND", message: "Session not found" });
+
+      res.json({ success: true, data: result.rows[0] });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// ─── DELETE session — also removes its check-ins ──────────────────────────────
+router.delete(
+  "/:sessionId",
+  requireEventAccess,
+  requirePermission("event:run"),
+  param("sessionId").isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId, sessionId } = req.params;
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const checkins = await client.query(
+        "SELECT attendee_id FROM session_checkins WHERE session_id = $1",
+        [sessionId],
+      );
+      const result = await client.query(
+        "DELETE FROM event_sessions WHERE id = $1 AND event_id = $2 RETURNING *",
+        [sessionId, eventId],
+      );
+      if (result.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ success: false, code: "SESSION_NOT_FOUND", message: "Session not found" });
+      }
+
+      // Attendees seen only in this session are no longer checked in
+      await syncAttendanceFromSessions(
+        client,
+        checkins.rows.map((c) => c.attendee_id),
+      );
+      await client.query("COMMIT");
+
+      const stats = await getEventStats(eventId);
+
+      emitToEvent(req, eventId, "session:deleted", {
+        eventId: parseInt(eventId),
+        sessionId: parseInt(sessionId),
+        stats,
+      });
+
+      res.json({ success: true, code: "SESSION_DELETED", message: "SESSION_DELETED" });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    } finally {
+      client.release();
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const { body, query, validationResult } = require("express-validator");
+const { requireEventAccess, requirePermission } = require("../middleware/auth");
+const { getEventStats, emitToEvent } = require("../broadcast");
+const { withoutPickupCode } = require("../children");
+const {
+  OPERATION_TYPES,
+  MAX_PUSH_OPERATIONS,
+  MAX_PULL_LIMIT,
+  pushOperations,
+  pullChanges,
+} = require("../sync");
+
+// ─── POST push operations queued offline ──────────────────────────────────────
+// Body: { operations: [{ key, type, client_ts, attendee_id, session_id,
+// attendee, check_in }] } — see the README for each type. Answers with one
+// result per operation, in order.
+router.post(
+  "/push",
+  requireEventAccess,
+  requirePermission("attendees:checkin"),
+  body("operations").isArray({ min: 1, max: MAX_PUSH_OPERATIONS }),
+  body("operations.*.key").isString().trim().notEmpty().isLength({ max: 100 }),
+  body("operations.*.type").isIn(OPERATION_TYPES),
+  body("operations.*.client_ts").isISO8601(),
+  body("operations.*.attendee_id").optional({ nullable: true }).isInt().toInt(),
+  body("operations.*.session_id").optional({ nullable: true }).isInt().toInt(),
+  body("operations.*.attendee").optional().isObject(),
+  body("operations.*.check_in").optional().isBoolean().toBoolean(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { eventId } = req.params;
+    try {
+      const { results, attendees } = await pushOperations(req, eventId, req.body.operations);
+      const stats = await getEventStats(eventId);
+
+      // One event for the whole push, like the bulk check-in
+      if (attendees.length > 0)
+        emitToEvent(req, eventId, "attendees:synced", {
+          eventId: parseInt(eventId),
+          attendees: attendees.map(withoutPickupCode),
+          stats,
+        });
+
+      res.json({ success: true, code: "SYNC_PUSHED", message: "SYNC_PUSHED", results, stats });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+// ─── GET pull changes since a cursor ──────────────────────────────────────────
+// ?cursor= from the previous pull (omit for everything), ?limit= (default and
+// max MAX_PULL_LIMIT). Keep pulling while has_more is true.
+router.get(
+  "/pull",
+  requireEventAccess,
+  requirePermission("attendees:read"),
+  query("cursor").optional().isInt({ min: 0 }),
+  query("limit").optional().isInt({ min: 1, max: MAX_PULL_LIMIT }).toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    try {
+      const changes = await pullChanges(req.params.eventId, {
+        cursor: req.query.cursor || "0",
+        limit: req.query.limit,
+      });
+      res.json({
+        success: true,
+        data: changes.attendees.map(withoutPickupCode),
+        deleted: changes.deleted,
+        cursor: changes.cursor,
+        has_more: changes.has_more,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require("express");
+const router = express.Router();
+const { query, validationResult } = require("express-validator");
+const { requireUser } = require("../middleware/auth");
+const { getAttendanceTrends } = require("../analytics");
+
+// ─── GET attendance trends across the organizer's events ──────────────────────
+// ?from= / ?to= (YYYY-MM-DD, inclusive), ?interval=event (default) | week | month
+router.get(
+  "/trends",
+  requireUser,
+  query("from").optional().isDate(),
+  query("to").optional().isDate(),
+  query("interval").optional().isIn(["event", "week", "month"]),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ success: false, errors: errors.array() });
+
+    const { from, to } = req.query;
+    const interval = req.query.interval || "event";
+
+    try {
+      const data = await getAttendanceTrends(req.user.id, { from, to, interval });
+      res.json({ success: true, interval, from: from || null, to: to || null, data });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, code: "SERVER_ERROR", message: "Server error" });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const { verifyEventToken, can } = require('./middleware/auth');
+
+// Sockets that are left in a room past their token expiry would keep
+// receiving attendee data, so every join schedules its own eviction.
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * join_event accepts either the bare event id (token taken from the
+ * handshake `auth.token`) or `{ eventId, token }`.
+ */
+function parseJoinPayload(socket, data) {
+  if (data && typeof data === 'object') {
+    return {
+      eventId: data.eventId,
+      token: data.token || socket.handshake.auth?.token,
+    };
+  }
+  return { eventId: data, token: socket.handshake.auth?.token };
+}
+
+function registerSocketHandlers(io) {
+  io.on('connection', (socket) => {
+    console.log(`[WS] Client connected: ${socket.id}`);
+
+    // eventId -> expiry timer for every room this socket has joined
+    const expiryTimers = new Map();
+
+    const leaveRoom = (eventId) => {
+      clearTimeout(expiryTimers.get(String(eventId)));
+      expiryTimers.delete(String(eventId));
+      socket.leave(`event:${eventId}`);
+    };
+
+    // Each client joins a room per event they are watching
+    socket.on('join_event', async (data, ack) => {
+      const { eventId, token } = parseJoinPayload(socket, data);
+      const reply = typeof ack === 'function' ? ack : null;
+
+      if (!eventId) {
+        const error = { success: false, code: 'EVENT_REQUIRED', message: 'Event id is required.' };
+        return reply ? reply(error) : socket.emit('join_error', { eventId, ...error });
+      }
+
+      let result;
+      try {
+        result = await verifyEventToken(token, eventId);
+      } catch (err) {
+        console.error('[WS] join_event error:', err);
+        result = { code: 'SERVER_ERROR', message: 'Server error' };
+      }
+
+      // Broadcasts carry full attendee rows, so roles that cannot read the
+      // attendee list (kiosks) cannot watch the room either
+      if (result.payload && !can(result.role, 'attendees:read')) {
+        result = {
+          code: 'FORBIDDEN_ROLE',
+          message: 'Your role does not allow this action.',
+        };
+      }
+
+      const { payload, code, message } = result;
+      if (!payload) {
+        console.log(`[WS] ${socket.id} refused event:${eventId} (${code})`);
+        const error = { success: false, code, message };
+        return reply ? reply(error) : socket.emit('join_error', { eventId, ...error });
+      }
+
+      leaveRoom(eventId);
+      socket.join(`event:${eventId}`);
+
+      if (payload.exp) {
+        const delay = Math.min(payload.exp * 1000 - Date.now(), MAX_TIMER_MS);
+        expiryTimers.set(
+          String(eventId),
+          setTimeout(() => {
+            leaveRoom(eventId);
+            socket.emit('auth_expired', {
+              eventId,
+              code: 'AUTH_EXPIRED',
+              message: 'Invalid or expired session. Please re-authenticate.',
+            });
+            console.log(`[WS] ${socket.id} removed from event:${eventId} (token expired)`);
+          }, Math.max(delay, 0)),
+        );
+      }
+
+      console.log(`[WS] ${socket.id} joined event:${eventId}`);
+      if (reply) reply({ success: true, code: 'JOINED', eventId });
+    });
+
+    socket.on('leave_event', (data) => {
+      const eventId = data && typeof data === 'object' ? data.eventId : data;
+      leaveRoom(eventId);
+    });
+
+    socket.on('disconnect', () => {
+      for (const timer of expiryTimers.values()) clearTimeout(timer);
+      expiryTimers.clear();
+      console.log(`[WS] Client disconnected: ${socket.id}`);
+    });
+  });
+}
+
+module.exports = registerSocketHandlers;
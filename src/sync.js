@@ -0,0 +1,423 @@
+const pool = require("./db");
+const { recordAttendeeEvent } = require("./audit");
+const { can } = require("./middleware/auth");
+const { resolveSession, syncAttendanceFromSessions } = require("./checkin");
+const { assignPickupCodes, voidPickupCodes } = require("./children");
+const { seatAllocator } = require("./waitlist");
+const { directoryOwner, linkPerson } = require("./people");
+const { loadEventFields, validateCustomValues } = require("./customFields");
+const { looksLikeEmail } = require("./importer");
+const { toE164, normalizeName } = require("./normalize");
+const { keyScope, digest } = require("./idempotency");
+
+const OPERATION_TYPES = ["checkin", "undo_checkin", "add"];
+
+// Operations one push may carry, and changes one pull returns at most
+const MAX_PUSH_OPERATIONS = 500;
+const MAX_PULL_LIMIT = 1000;
+
+// Helper: whether a check-in was undone on the server after `at`, in which
+// case a device's check-in from before then is out of date
+async function undoneSince(db, attendeeId, sessionId, at) {
+  const result = await db.query(
+    `SELECT 1 FROM attendee_events
+     WHERE attendee_id = $1 AND action = 'undo_checkin' AND created_at > $2
+       AND ($3::int IS NULL OR (before->>'session_id')::int = $3)
+     LIMIT 1`,
+    [attendeeId, at, sessionId],
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * applyCheckIn
+ *
+ * A check-in made on a device at `at`. The earliest check-in wins: when the
+ * attendee is already checked in, a device's earlier time replaces the
+ * server's, a later one changes nothing. A check-in from before the
+ * attendee's last undo on the server is STALE and dropped, and a waitlisted
+ * attendee is refused as WAITLISTED, as on the live routes.
+ */
+async function applyCheckIn(db, req, eventId, attendee, session, at) {
+  if (attendee.waitlist_position !== null) return { code: "WAITLISTED", attendee };
+
+  const audit = (after) =>
+    recordAttendeeEvent(db, req, {
+      eventId,
+      attendeeId: attendee.id,
+      action: "checkin",
+      before: attendee,
+      after,
+    });
+
+  if (session) {
+    const existing = await db.query(
+      "SELECT checked_in_at FROM session_checkins WHERE session_id = $1 AND attendee_id = $2 FOR UPDATE",
+      [session.id, attendee.id],
+    );
+    const wasCheckedIn = existing.rows.length > 0;
+    if (wasCheckedIn) {
+      if (existing.rows[0].checked_in_at <= at) return { code: "ALREADY_CHECKED_IN", attendee };
+      await db.query(
+        "UPDATE session_checkins SET checked_in_at = $3 WHERE session_id = $1 AND attendee_id = $2",
+        [session.id, attendee.id, at],
+      );
+    } else {
+      if (await undoneSince(db, attendee.id, session.id, at)) return { code: "STALE", attendee };
+      await db.query(
+        "INSERT INTO session_checkins (session_id, attendee_id, checked_in_at) VALUES ($1, $2, $3)",
+        [session.id, attendee.id, at],
+      );
+    }
+
+    let [row] = await syncAttendanceFromSessions(db, [attendee.id]);
+    if (!wasCheckedIn) [row] = await assignPickupCodes(db, [row]);
+    const updated = { ...row, session_id: session.id, session_checked_in_at: at };
+    await audit(updated);
+    return { code: wasCheckedIn ? "ALREADY_CHECKED_IN" : "CHECKED_IN", attendee: updated, changed: true };
+  }
+
+  if (attendee.checked_in) {
+    if (!attendee.checked_in_at || attendee.checked_in_at <= at)
+      return { code: "ALREADY_CHECKED_IN", attendee };
+    const result = await db.query(
+      "UPDATE attendees SET checked_in_at = $2, updated_at = NOW() WHERE id = $1 RETURNING *",
+      [attendee.id, at],
+    );
+    await audit(result.rows[0]);
+    return { code: "ALREADY_CHECKED_IN", attendee: result.rows[0], changed: true };
+  }
+
+  if (await undoneSince(db, attendee.id, null, at)) return { code: "STALE", attendee };
+  const result = await db.query(
+    `UPDATE attendees SET checked_in = TRUE, checked_in_at = $2, updated_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [attendee.id, at],
+  );
+  const [updated] = await assignPickupCodes(db, result.rows);
+  await audit(updated);
+  return { code: "CHECKED_IN", attendee: updated, changed: true };
+}
+
+/**
+ * applyUndo
+ *
+ * An undo made on a device at `at`. It is STALE when the attendee was
+ * checked in on the server after `at` — someone checked them in again since.
+ */
+async function applyUndo(db, req, eventId, attendee, session, at) {
+  let updated;
+  let before = attendee;
+
+  if (session) {
+    const existing = await db.query(
+      "SELECT checked_in_at FROM session_checkins WHERE session_id = $1 AND attendee_id = $2 FOR UPDATE",
+      [session.id, attendee.id],
+    );
+    if (existing.rows.length === 0) return { code: "NOT_CHECKED_IN", attendee };
+    if (existing.rows[0].checked_in_at > at) return { code: "STALE", attendee };
+
+    await db.query("DELETE FROM session_checkins WHERE session_id = $1 AND attendee_id = $2", [
+      session.id,
+      attendee.id,
+    ]);
+    await voidPickupCodes(db, [attendee.id]);
+    const [row] = await syncAttendanceFromSessions(db, [attendee.id]);
+    updated = { ...row, session_id: session.id, session_checked_in_at: null };
+    before = {
+      ...attendee,
+      session_id: session.id,
+      session_checked_in_at: existing.rows[0].checked_in_at,
+    };
+  } else {
+    if (!attendee.checked_in) return { code: "NOT_CHECKED_IN", attendee };
+    if (attendee.checked_in_at && attendee.checked_in_at > at) return { code: "STALE", attendee };
+
+    const result = await db.query(
+      `UPDATE attendees SET checked_in = FALSE, checked_in_at = NULL, pickup_code = NULL,
+         checked_out_at = NULL, updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [attendee.id],
+    );
+    updated = result.rows[0];
+  }
+
+  await recordAttendeeEvent(db, req, {
+    eventId,
+    attendeeId: attendee.id,
+    action: "undo_checkin",
+    before,
+    after: updated,
+  });
+  return { code: "UNDONE", attendee: updated, changed: true };
+}
+
+// Helper: the problems with an `add` operation's attendee, as
+// express-validator style errors
+function attendeeErrors(attendee) {
+  const errors = [];
+  const fail = (path, msg) => errors.push({ type: "field", location: "body", path, msg });
+  if (typeof attendee.name !== "string" || !attendee.name.trim() || attendee.name.length > 255)
+    fail("attendee.name", "Invalid value");
+  if (attendee.phone_number && toE164(attendee.phone_number) === null)
+    fail("attendee.phone_number", "Invalid phone number");
+  if (attendee.email && !looksLikeEmail(attendee.email))
+    fail("attendee.email", "Invalid email address");
+  return errors;
+}
+
+/**
+ * applyAdd
+ *
+ * A walk-in added on a device. Someone already in the event with the same
+ * name and phone (E.164) or email is not added twice — two offline devices
+ * often register the same walk-in — and the operation answers ALREADY_EXISTS
+ * with them. The name must match too, since a family may share one phone.
+ * `check_in: true` checks the attendee in at `at` as well.
+ */
+async function applyAdd(db, req, eventId, op, session, at) {
+  if (!can(req.auth?.role, "attendees:write")) return { code: "FORBIDDEN_ROLE" };
+
+  const input = op.attendee || {};
+  const errors = attendeeErrors(input);
+  const fields = await loadEventFields(eventId, db);
+  const custom = validateCustomValues(fields, input.custom_fields);
+  errors.push(...custom.errors);
+  if (errors.length > 0) return { code: "INVALID_OPERATION", errors };
+
+  const name = input.name.trim();
+  const phone_number = input.phone_number ? String(input.phone_number).trim() : null;
+  const phone_e164 = toE164(phone_number);
+  const email = input.email ? String(input.email).trim() : null;
+  const home_church = input.home_church ? String(input.home_church).trim() : null;
+
+  // Locks the event first, so two devices pushing the same walk-in at once
+  // find each other's row instead of both adding one. Past the event's
+  // capacity the attendee joins the waitlist.
+  const nextSeat = await seatAllocator(db, eventId);
+  const match = await db.query(
+    `SELECT * FROM attendees
+     WHERE event_id = $1 AND regexp_replace(lower(name), '[^a-z0-9]', '', 'g') = $4
+       AND (($2::text IS NOT NULL AND phone_e164 = $2) OR ($3::text IS NOT NULL AND LOWER(email) = $3))
+     ORDER BY id LIMIT 1 FOR UPDATE`,
+    [eventId, phone_e164, email ? email.toLowerCase() : null, normalizeName(name)],
+  );
+
+  let attendee;
+  let code;
+  if (match.rows.length > 0) {
+    attendee = match.rows[0];
+    code = "ALREADY_EXISTS";
+  } else {
+    const link = await linkPerson(db, await directoryOwner(eventId, db), {
+      name,
+      phone_number,
+      phone_e164,
+      email,
+      home_church,
+    });
+    const result = await db.query(
+      `INSERT INTO attendees
+         (event_id, name, phone_number, phone_e164, email, home_church, custom_fields, person_id,
+          source, waitlist_position, is_child)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'manual', $9, $10) RETURNING *`,
+      [
+        eventId,
+        name,
+        phone_number,
+        phone_e164,
+        email,
+        home_church,
+        JSON.stringify(custom.values),
+        link ? link.person.id : null,
+        nextSeat(),
+        input.is_child === true,
+      ],
+    );
+    attendee = result.rows[0];
+    code = "ADDED";
+    await recordAttendeeEvent(db, req, {
+      eventId,
+      attendeeId: attendee.id,
+      action: "create",
+      after: attendee,
+    });
+  }
+
+  if (!op.check_in) return { code, attendee, changed: code === "ADDED" };
+
+  const checkin = await applyCheckIn(db, req, eventId, attendee, session, at);
+  return {
+    code,
+    checkin: checkin.code,
+    attendee: checkin.attendee,
+    changed: code === "ADDED" || !!checkin.changed,
+  };
+}
+
+// Helper: runs one operation inside the caller's transaction. Resolves
+// { code, attendee?, changed?, … }; only `changed` outcomes are broadcast.
+async function applyOperation(db, req, eventId, op, event) {
+  if (op.type !== "add" && !op.attendee_id) return { code: "INVALID_OPERATION" };
+
+  // Like the live routes: a finished event takes no check-ins or new attendees
+  if (event.is_finished && op.type !== "undo_checkin") return { code: "EVENT_FINISHED" };
+
+  let session = null;
+  if (op.type !== "add" || op.check_in) {
+    const resolved = await resolveSession(eventId, op.session_id);
+    if (resolved.error) return { code: resolved.error.body.code };
+    session = resolved.session;
+  }
+
+  // The device's clock, but never in the future, where a fast clock would put it
+  const at = (await db.query("SELECT LEAST($1::timestamptz, NOW())::timestamp AS at", [op.client_ts]))
+    .rows[0].at;
+
+  if (op.type === "add") return applyAdd(db, req, eventId, op, session, at);
+
+  const current = await db.query(
+    "SELECT * FROM attendees WHERE id = $1 AND event_id = $2 FOR UPDATE",
+    [op.attendee_id, eventId],
+  );
+  if (current.rows.length === 0) return { code: "ATTENDEE_NOT_FOUND" };
+
+  return op.type === "checkin"
+    ? applyCheckIn(db, req, eventId, current.rows[0], session, at)
+    : applyUndo(db, req, eventId, current.rows[0], session, at);
+}
+
+/**
+ * pushOperations
+ *
+ * Applies a door device's queued operations in order, each in its own
+ * transaction and at most once per idempotency `key`. Keys belong to the
+ * pushing account, as with Idempotency-Key: the same operation pushed again
+ * answers with its stored result and `replayed: true`, a different one under
+ * a used key answers IDEMPOTENCY_KEY_MISMATCH and is not applied. Resolves
+ * { results } — one per operation, in order — and `attendees`, the rows that
+ * changed. SERVER_ERROR and mismatch results are not stored, so the device
+ * can retry that key.
+ */
+async function pushOperations(req, eventId, operations) {
+  const event = (await pool.query("SELECT is_finished FROM events WHERE id = $1", [eventId])).rows[0];
+  const scope = keyScope(req);
+  const results = [];
+  const changed = new Map();
+
+  const client = await pool.connect();
+  try {
+    // The stored result for the operation's key as its result entry, or null
+    // when the key is new
+    const storedResult = async (op, print) => {
+      const stored = await client.query(
+        "SELECT fingerprint, result FROM sync_operations WHERE event_id = $1 AND scope = $2 AND key = $3",
+        [eventId, scope, op.key],
+      );
+      const row = stored.rows[0];
+      if (!row) return null;
+      if (row.fingerprint !== print) {
+        return {
+          key: op.key,
+          code: "IDEMPOTENCY_KEY_MISMATCH",
+          message: "This key was already used for a different operation",
+        };
+      }
+      return { key: op.key, ...row.result, replayed: true };
+    };
+
+    for (const op of operations) {
+      const print = digest(op);
+      const stored = await storedResult(op, print);
+      if (stored) {
+        results.push(stored);
+        continue;
+      }
+
+      try {
+        await client.query("BEGIN");
+        const { attendee, changed: didChange, ...outcome } = await applyOperation(
+          client,
+          req,
+          eventId,
+          op,
+          event,
+        );
+        const result = { ...outcome, attendee_id: attendee ? attendee.id : op.attendee_id ?? null };
+
+        // A concurrent push of the same key got there first: keep its result
+        const saved = await client.query(
+          `INSERT INTO sync_operations (event_id, scope, key, fingerprint, type, result)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT DO NOTHING RETURNING key`,
+          [eventId, scope, op.key, print, op.type, JSON.stringify(result)],
+        );
+        if (saved.rows.length === 0) {
+          await client.query("ROLLBACK");
+          results.push(await storedResult(op, print));
+          continue;
+        }
+        await client.query("COMMIT");
+
+        if (didChange) changed.set(attendee.id, attendee);
+        results.push({ key: op.key, ...result, data: attendee || null });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        console.error(err);
+        results.push({ key: op.key, code: "SERVER_ERROR" });
+      }
+    }
+  } finally {
+    client.release();
+  }
+
+  return { results, attendees: [...changed.values()] };
+}
+
+/**
+ * pullChanges
+ *
+ * What changed in the event after `cursor` (0 or omitted: everything), oldest
+ * first: current rows of changed attendees and the ids of deleted ones.
+ * Resolves { attendees, deleted, cursor, has_more }; pass `cursor` back for
+ * the next pull. A row may come again in a later pull when it changed again.
+ */
+async function pullChanges(eventId, { cursor = 0, limit = MAX_PULL_LIMIT } = {}) {
+  const changes = await pool.query(
+    `SELECT change_seq, id AS attendee_id, FALSE AS deleted
+     FROM attendees WHERE event_id = $1 AND change_seq > $2
+     UNION ALL
+     SELECT change_seq, attendee_id, TRUE AS deleted
+     FROM attendee_tombstones WHERE event_id = $1 AND change_seq > $2 AND $2 > 0
+     ORDER BY change_seq ASC
+     LIMIT $3`,
+    [eventId, cursor, limit + 1],
+  );
+  const has_more = changes.rows.length > limit;
+  const page = changes.rows.slice(0, limit);
+
+  const changedIds = page.filter((row) => !row.deleted).map((row) => row.attendee_id);
+  const rows = await pool.query(
+    `SELECT *, ARRAY(SELECT c.session_id FROM session_checkins c
+       WHERE c.attendee_id = attendees.id ORDER BY c.session_id) AS session_ids,
+       (SELECT g.name FROM attendee_groups g WHERE g.id = attendees.group_id) AS group_name
+     FROM attendees WHERE id = ANY($1::int[]) ORDER BY change_seq ASC`,
+    [changedIds],
+  );
+
+  return {
+    attendees: rows.rows,
+    deleted: page.filter((row) => row.deleted).map((row) => row.attendee_id),
+    // BIGINT comes back from pg as a string; keep it one so it never loses precision
+    cursor: page.length > 0 ? page[page.length - 1].change_seq : String(cursor),
+    has_more,
+  };
+}
+
+module.exports = {
+  OPERATION_TYPES,
+  MAX_PUSH_OPERATIONS,
+  MAX_PULL_LIMIT,
+  pushOperations,
+  pullChanges,
+};
@@ -0,0 +1,56 @@
+const crypto = require("crypto");
+const pool = require("./db");
+const { JWT_SECRET } = require("./middleware/auth");
+
+// Ticket codes are "<random>.<signature>". The random part makes them
+// unguessable; the HMAC lets the scanner reject typos and forgeries before
+// touching the database. Rotating TICKET_SECRET invalidates every printed ticket.
+const TICKET_SECRET = process.env.TICKET_SECRET || JWT_SECRET;
+const RANDOM_BYTES = 12;
+const SIGNATURE_LENGTH = 16;
+
+function sign(random) {
+  return crypto
+    .createHmac("sha256", TICKET_SECRET)
+    .update(random)
+    .digest("base64url")
+    .slice(0, SIGNATURE_LENGTH);
+}
+
+function createTicketCode() {
+  const random = crypto.randomBytes(RANDOM_BYTES).toString("base64url");
+  return `${random}.${sign(random)}`;
+}
+
+function isValidTicketCode(code) {
+  if (typeof code !== "string") return false;
+  const [random, signature, ...rest] = code.trim().split(".");
+  if (!random || !signature || rest.length > 0) return false;
+
+  const expected = Buffer.from(sign(random));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * ensureTicketCode
+ *
+ * Tickets are issued lazily the first time an attendee's QR code is requested,
+ * so existing attendees need no backfill. Resolves the attendee's ticket code.
+ */
+async function ensureTicketCode(attendee, db = pool) {
+  if (attendee.ticket_code) return attendee.ticket_code;
+
+  const result = await db.query(
+    `UPDATE attendees SET ticket_code = $1, updated_at = NOW()
+     WHERE id = $2 AND ticket_code IS NULL RETURNING ticket_code`,
+    [createTicketCode(), attendee.id],
+  );
+  if (result.rows.length > 0) return result.rows[0].ticket_code;
+
+  // Another request issued it first
+  const current = await db.query("SELECT ticket_code FROM attendees WHERE id = $1", [attendee.id]);
+  return current.rows[0].ticket_code;
+}
+
+module.exports = { createTicketCode, isValidTicketCode, ensureTicketCode };
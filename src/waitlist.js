@@ -0,0 +1,94 @@
+const { recordAttendeeEvent } = require("./audit");
+
+// Locks the event row so concurrent adds and promotions see the same free seats
+async function lockEventCapacity(db, eventId) {
+  const event = await db.query("SELECT capacity FROM events WHERE id = $1 FOR UPDATE", [eventId]);
+  const counts = await db.query(
+    `SELECT COUNT(CASE WHEN waitlist_position IS NULL THEN 1 END)::int AS seated,
+       COALESCE(MAX(waitlist_position), 0)::int AS last_position
+     FROM attendees WHERE event_id = $1`,
+    [eventId],
+  );
+  return { capacity: event.rows[0]?.capacity ?? null, ...counts.rows[0] };
+}
+
+/**
+ * seatAllocator
+ *
+ * For routes adding attendees, inside their transaction. Resolves a function
+ * that returns the waitlist_position for the next attendee to insert: null
+ * while the event has free seats (or no capacity), then 1, 2, … after the
+ * current end of the waitlist. Nobody skips the line: while anyone is
+ * waiting, new attendees wait too.
+ */
+async function seatAllocator(db, eventId) {
+  const { capacity, seated, last_position } = await lockEventCapacity(db, eventId);
+  let free = capacity === null ? Infinity : Math.max(capacity - seated, 0);
+  if (last_position > 0) free = 0;
+  let next = last_position + 1;
+
+  return () => {
+    if (free > 0) {
+      free--;
+      return null;
+    }
+    return next++;
+  };
+}
+
+/**
+ * promoteFromWaitlist
+ *
+ * Gives free seats to the front of the waitlist and renumbers whoever is
+ * still waiting from 1. Call inside the transaction that freed the seats
+ * (deleting, merging, raising the capacity). Each promotion is audited;
+ * resolves the promoted attendees in waitlist order for the caller to
+ * broadcast as attendees:promoted after committing.
+ */
+async function promoteFromWaitlist(db, req, eventId) {
+  const { capacity, seated } = await lockEventCapacity(db, eventId);
+  const free = capacity === null ? null : Math.max(capacity - seated, 0);
+
+  let promoted = [];
+  if (free !== 0) {
+    // LIMIT NULL promotes everyone once the capacity is removed
+    const waiting = await db.query(
+      `SELECT * FROM attendees WHERE event_id = $1 AND waitlist_position IS NOT NULL
+       ORDER BY waitlist_position ASC, id ASC LIMIT $2`,
+      [eventId, free],
+    );
+    if (waiting.rows.length > 0) {
+      const result = await db.query(
+        `UPDATE attendees SET waitlist_position = NULL, updated_at = NOW()
+         WHERE id = ANY($1::int[]) RETURNING *`,
+        [waiting.rows.map((row) => row.id)],
+      );
+      const byId = new Map(result.rows.map((row) => [row.id, row]));
+      promoted = waiting.rows.map((row) => byId.get(row.id));
+
+      for (const before of waiting.rows) {
+        await recordAttendeeEvent(db, req, {
+          eventId,
+          attendeeId: before.id,
+          action: "promote",
+          before,
+          after: byId.get(before.id),
+        });
+      }
+    }
+  }
+
+  await db.query(
+    `UPDATE attendees a SET waitlist_position = w.position
+     FROM (
+       SELECT id, ROW_NUMBER() OVER (ORDER BY waitlist_position ASC, id ASC)::int AS position
+       FROM attendees WHERE event_id = $1 AND waitlist_position IS NOT NULL
+     ) w
+     WHERE a.id = w.id AND a.waitlist_position <> w.position`,
+    [eventId],
+  );
+
+  return promoted;
+}
+
+module.exports = { seatAllocator, promoteFromWaitlist };